@@ -1,700 +1,5676 @@
-import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
-import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
-import { z } from "zod";
-import { exec } from 'child_process';
-import { promisify } from 'util';
-import fs from 'fs';
-import path from 'path';
-import minimist from 'minimist';
-
-const execAsync = promisify(exec);
-
-// ======================
-// Configuration Setup
-// ======================
-const args = minimist(process.argv.slice(2));
-const COMMANDS_FILE = path.resolve(args.file || "commands.json");
-const LOGS_DIR = path.resolve(args.logs || "logs");
-const PORT = args.port || 3000;
-
-console.log(`Starting service with:
-  Commands file: ${COMMANDS_FILE}
-  Logs directory: ${LOGS_DIR}
-  Working directory: ${process.cwd()}
-  PID: ${process.pid}
-`);
-
-// ======================
-// File System Utilities
-// ======================
-function ensureDirectory(dirPath) {
-  if (!fs.existsSync(dirPath)) {
-    fs.mkdirSync(dirPath, { recursive: true });
-    console.log(`Created directory: ${dirPath}`);
-  }
-}
-
-function getCurrentDateString() {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-}
-
-function getTodayLogFile() {
-  ensureDirectory(LOGS_DIR);
-  return path.join(LOGS_DIR, `${getCurrentDateString()}.json`);
-}
-
-// ======================
-// Logging System
-// ======================
-function initLogSystem() {
-  const todayLogFile = getTodayLogFile();
-  if (!fs.existsSync(todayLogFile)) {
-    fs.writeFileSync(todayLogFile, JSON.stringify([{
-      timestamp: new Date().toISOString(),
-      action: 'service_started',
-      version: '2.6.1',
-      configFile: COMMANDS_FILE,
-      logDir: LOGS_DIR,
-      pid: process.pid
-    }], null, 2));
-  }
-}
-
-function logAction(action, details = {}) {
-  const todayLogFile = getTodayLogFile();
-  const logEntry = {
-    timestamp: new Date().toISOString(),
-    action,
-    pid: process.pid,
-    ...details
-  };
-
-  try {
-    let logs = [];
-    if (fs.existsSync(todayLogFile)) {
-      const logData = fs.readFileSync(todayLogFile, 'utf8');
-      logs = logData ? JSON.parse(logData) : [];
-    }
-    logs.push(logEntry);
-    fs.writeFileSync(todayLogFile, JSON.stringify(logs, null, 2));
-  } catch (err) {
-    console.error('Log write failed:', err);
-  }
-}
-
-// ======================
-// Command Configuration
-// ======================
-function ensureCommandsFile() {
-  ensureDirectory(path.dirname(COMMANDS_FILE));
-  
-  if (!fs.existsSync(COMMANDS_FILE)) {
-    const defaultCommands = [
-      {
-        name: "dir",
-        description: "List directory contents",
-        example: "dir /w",
-        dangerous: false,
-        enabled: true,
-        confirmationPrompt: "",
-        consequences: ""
-      },
-      {
-        name: "ping",
-        description: "Test network connection",
-        example: "ping example.com",
-        dangerous: false,
-        enabled: true,
-        confirmationPrompt: "",
-        consequences: ""
-      },
-      {
-        name: "format",
-        description: "Format disk drive",
-        example: "format C:",
-        dangerous: true,
-        enabled: false,
-        confirmationPrompt: "This will PERMANENTLY erase all data. Confirm?",
-        consequences: "Permanent data loss"
-      }
-    ];
-    fs.writeFileSync(COMMANDS_FILE, JSON.stringify(defaultCommands, null, 2));
-    console.log(`Created new commands file at: ${COMMANDS_FILE}`);
-    logAction('config_file_created', { file: COMMANDS_FILE });
-  }
-}
-
-function verifyFileAccess() {
-  try {
-    fs.accessSync(COMMANDS_FILE, fs.constants.R_OK | fs.constants.W_OK);
-    return true;
-  } catch (err) {
-    console.error(`Cannot access commands file: ${err.message}`);
-    return false;
-  }
-}
-
-function loadCommands() {
-  try {
-    if (!fs.existsSync(COMMANDS_FILE)) {
-      throw new Error(`Commands file not found at ${COMMANDS_FILE}`);
-    }
-    const data = fs.readFileSync(COMMANDS_FILE, 'utf8');
-    const commands = JSON.parse(data);
-    
-    if (!Array.isArray(commands)) {
-      throw new Error("Invalid command config format");
-    }
-    
-    return commands;
-  } catch (err) {
-    logAction('config_load_failed', { error: err.message });
-    throw err;
-  }
-}
-
-function saveCommands(commands) {
-  try {
-    const tmpFile = `${COMMANDS_FILE}.tmp`;
-    fs.writeFileSync(tmpFile, JSON.stringify(commands, null, 2));
-    fs.renameSync(tmpFile, COMMANDS_FILE);
-    logAction('config_saved', { count: commands.length });
-    return true;
-  } catch (err) {
-    logAction('config_save_failed', { error: err.message });
-    return false;
-  }
-}
-
-// ======================
-// Process Management
-// ======================
-function setupProcessHandlers() {
-  process.on('exit', (code) => {
-    logAction('service_stopped', { code });
-  });
-
-  process.on('uncaughtException', (err) => {
-    logAction('uncaught_exception', { error: err.message });
-    console.error('Critical error:', err);
-    process.exit(1);
-  });
-
-  process.on('SIGTERM', () => {
-    logAction('service_terminated');
-    process.exit(0);
-  });
-
-  // File watching only in development
-  if (process.env.NODE_ENV !== 'production') {
-    fs.watch(COMMANDS_FILE, (eventType) => {
-      console.log(`Commands file ${eventType} detected`);
-      logAction('config_file_changed', { eventType });
-    });
-  }
-}
-
-// ======================
-// MCP Server Setup
-// ======================
-const server = new McpServer({
-  name: "Secure Command Executor",
-  version: "2.6.1",
-  description: "Robust command execution service with daily log rotation",
-  endpoints: {
-    http: `http://localhost:${PORT}`
-  }
-});
-
-// ======================
-// Initialization
-// ======================
-setupProcessHandlers();
-ensureCommandsFile();
-initLogSystem();
-
-if (!verifyFileAccess()) {
-  console.error('Fatal: Cannot access commands file');
-  process.exit(1);
-}
-
-logAction('service_initialized');
-
-// ======================
-// Tool Implementations
-// ======================
-
-// 1. Command Execution Tool
-server.tool("execute", {
-  command: z.string().min(1).max(200),
-  args: z.string().optional(),
-  confirmationToken: z.string().optional(),
-  requestId: z.string().optional()
-}, async ({ command, args, confirmationToken, requestId }) => {
-  const startTime = Date.now();
-  const fullCommand = args ? `${command} ${args}` : command;
-  
-  try {
-    const commands = loadCommands();
-    const cmdConfig = commands.find(c => c.name === command);
-    
-    if (!cmdConfig) {
-      logAction('command_not_found', { requestId, command });
-      return { content: [{ type: "text", text: `Error: Unknown command "${command}"` }] };
-    }
-
-    if (!cmdConfig.enabled) {
-      logAction('command_disabled', { requestId, command });
-      return { content: [{ type: "text", text: `Error: Command "${command}" is disabled` }] };
-    }
-
-    if (cmdConfig.dangerous) {
-      if (!confirmationToken) {
-        logAction('dangerous_command_attempt', { requestId, command: fullCommand });
-        return {
-          content: [{
-            type: "text",
-            text: `⚠️ DANGEROUS COMMAND WARNING ⚠️\n\n` +
-                  `Command: ${command}\n` +
-                  `Description: ${cmdConfig.description}\n` +
-                  `Potential Consequences: ${cmdConfig.consequences}\n\n` +
-                  `Safety Confirmation: ${cmdConfig.confirmationPrompt}\n\n` +
-                  `To execute, include: "confirmationToken":"I understand the risks and confirm execution"`
-          }],
-          requiresConfirmation: true
-        };
-      }
-      
-      if (confirmationToken !== "I understand the risks and confirm execution") {
-        logAction('dangerous_command_rejected', {
-          requestId,
-          command: fullCommand,
-          reason: 'invalid_confirmation_token'
-        });
-        return { content: [{ type: "text", text: `Error: Invalid confirmation token` }] };
-      }
-
-      logAction('dangerous_command_confirmed', { requestId, command: fullCommand });
-    }
-
-    const { stdout, stderr } = await execAsync(fullCommand, { windowsHide: true });
-    const executionTime = Date.now() - startTime;
-    
-    logAction('command_executed', {
-      requestId,
-      command: fullCommand,
-      status: 'success',
-      executionTime,
-      outputLength: (stdout || stderr || '').length
-    });
-
-    return { content: [{ type: "text", text: stdout || stderr || "Command executed with no output" }] };
-  } catch (error) {
-    const executionTime = Date.now() - startTime;
-    logAction('command_failed', {
-      requestId,
-      command: fullCommand,
-      status: 'error',
-      error: error.message,
-      executionTime
-    });
-    return { content: [{ type: "text", text: `Error: ${error.message}` }] };
-  }
-});
-
-// 2. Command Query Tool
-server.tool("queryCommands", {
-  filter: z.enum(["all", "enabled", "disabled", "dangerous"]).optional().default("enabled"),
-  detailed: z.boolean().optional().default(false),
-  requestId: z.string().optional()
-}, async ({ filter, detailed, requestId }) => {
-  try {
-    const commands = loadCommands();
-    
-    let filteredCommands = commands;
-    if (filter === "enabled") filteredCommands = commands.filter(c => c.enabled);
-    else if (filter === "disabled") filteredCommands = commands.filter(c => !c.enabled);
-    else if (filter === "dangerous") filteredCommands = commands.filter(c => c.dangerous);
-    
-    const commandList = filteredCommands.map(c => {
-      let info = `${c.name}${c.dangerous ? ' ⚠️' : ''}${!c.enabled ? ' (disabled)' : ''}`;
-      if (detailed) {
-        info += `\nDescription: ${c.description}` +
-                `\nExample: ${c.example}` +
-                (c.dangerous ? `\nConsequences: ${c.consequences}` : '');
-      }
-      return info;
-    });
-    
-    logAction('commands_queried', {
-      requestId,
-      filter,
-      count: filteredCommands.length
-    });
-
-    return {
-      content: [{
-        type: "text",
-        text: `Available commands (${filter}, ${filteredCommands.length}):\n\n${commandList.join('\n\n')}`
-      }]
-    };
-  } catch (error) {
-    logAction('query_failed', {
-      requestId,
-      error: error.message
-    });
-    return {
-      content: [{
-        type: "text",
-        text: `Query failed: ${error.message}`
-      }]
-    };
-  }
-});
-
-// 3. Command Management Tool
-server.tool("manageCommand", {
-  action: z.enum(["add", "update", "remove", "enable", "disable", "list"]),
-  name: z.string().min(1).max(50).optional(),
-  description: z.string().optional(),
-  example: z.string().optional(),
-  dangerous: z.boolean().optional(),
-  confirmationPrompt: z.string().optional(),
-  consequences: z.string().optional(),
-  enabled: z.boolean().optional(),
-  requestId: z.string().optional()
-}, async (params) => {
-  const { action, requestId } = params;
-  let commands, message, updated = false;
-  
-  try {
-    commands = loadCommands();
-    
-    switch (action) {
-      case "add":
-        if (!params.name) {
-          message = "Error: Command name is required";
-          break;
-        }
-        
-        if (commands.some(c => c.name === params.name)) {
-          message = `Error: Command "${params.name}" already exists`;
-          break;
-        }
-        
-        const newCmd = {
-          name: params.name,
-          description: params.description || "No description",
-          example: params.example || "No example",
-          dangerous: params.dangerous || false,
-          enabled: params.enabled ?? (!params.dangerous),
-          confirmationPrompt: params.dangerous ? 
-            (params.confirmationPrompt || "Confirm execution of this dangerous operation?") : "",
-          consequences: params.dangerous ? 
-            (params.consequences || "May cause system damage or data loss") : ""
-        };
-        
-        commands.push(newCmd);
-        updated = true;
-        message = `Added command: ${params.name}`;
-        logAction('command_added', {
-          requestId,
-          name: params.name,
-          dangerous: newCmd.dangerous,
-          enabled: newCmd.enabled
-        });
-        break;
-        
-      case "update":
-        if (!params.name) {
-          message = "Error: Command name is required";
-          break;
-        }
-        
-        const cmdIndex = commands.findIndex(c => c.name === params.name);
-        if (cmdIndex === -1) {
-          message = `Error: Command "${params.name}" not found`;
-          break;
-        }
-        
-        const cmd = commands[cmdIndex];
-        const changes = {};
-        
-        if (params.description !== undefined) {
-          changes.description = params.description;
-          cmd.description = params.description;
-        }
-        if (params.example !== undefined) {
-          changes.example = params.example;
-          cmd.example = params.example;
-        }
-        if (params.enabled !== undefined) {
-          changes.enabled = params.enabled;
-          cmd.enabled = params.enabled;
-        }
-        
-        if (params.dangerous !== undefined) {
-          changes.dangerous = params.dangerous;
-          cmd.dangerous = params.dangerous;
-          
-          if (params.dangerous) {
-            cmd.confirmationPrompt = params.confirmationPrompt || cmd.confirmationPrompt;
-            cmd.consequences = params.consequences || cmd.consequences;
-          } else {
-            cmd.confirmationPrompt = "";
-            cmd.consequences = "";
-          }
-        }
-        
-        updated = true;
-        message = `Updated command: ${params.name}`;
-        logAction('command_updated', {
-          requestId,
-          name: params.name,
-          changes
-        });
-        break;
-        
-      case "remove":
-        if (!params.name) {
-          message = "Error: Command name is required";
-          break;
-        }
-        
-        const removeIndex = commands.findIndex(c => c.name === params.name);
-        if (removeIndex === -1) {
-          message = `Error: Command "${params.name}" not found`;
-          break;
-        }
-        
-        const removedCmd = commands[removeIndex];
-        commands.splice(removeIndex, 1);
-        updated = true;
-        message = `Removed command: ${params.name}`;
-        logAction('command_removed', {
-          requestId,
-          name: params.name,
-          wasDangerous: removedCmd.dangerous
-        });
-        break;
-        
-      case "enable":
-        if (!params.name) {
-          message = "Error: Command name is required";
-          break;
-        }
-        
-        const enableCmd = commands.find(c => c.name === params.name);
-        if (!enableCmd) {
-          message = `Error: Command "${params.name}" not found`;
-          break;
-        }
-        
-        enableCmd.enabled = true;
-        updated = true;
-        message = `Enabled command: ${params.name}`;
-        logAction('command_enabled', {
-          requestId,
-          name: params.name
-        });
-        break;
-        
-      case "disable":
-        if (!params.name) {
-          message = "Error: Command name is required";
-          break;
-        }
-        
-        const disableCmd = commands.find(c => c.name === params.name);
-        if (!disableCmd) {
-          message = `Error: Command "${params.name}" not found`;
-          break;
-        }
-        
-        disableCmd.enabled = false;
-        updated = true;
-        message = `Disabled command: ${params.name}`;
-        logAction('command_disabled', {
-          requestId,
-          name: params.name
-        });
-        break;
-        
-      case "list":
-        const enabledCount = commands.filter(c => c.enabled).length;
-        const dangerousCount = commands.filter(c => c.dangerous).length;
-        message = `Total commands: ${commands.length}\nEnabled: ${enabledCount}\nDangerous: ${dangerousCount}`;
-        logAction('command_listed', {
-          requestId,
-          total: commands.length,
-          enabled: enabledCount,
-          dangerous: dangerousCount
-        });
-        break;
-    }
-    
-    if (updated && !saveCommands(commands)) {
-      message = "Operation succeeded but failed to save config";
-    }
-    
-    return {
-      content: [{
-        type: "text",
-        text: message
-      }]
-    };
-  } catch (error) {
-    logAction('management_failed', {
-      requestId,
-      action,
-      error: error.message
-    });
-    return {
-      content: [{
-        type: "text",
-        text: `Management operation failed: ${error.message}`
-      }]
-    };
-  }
-});
-
-// 4. Log Query Tool
-server.tool("queryLogs", {
-  limit: z.number().int().positive().max(1000).optional().default(100),
-  filter: z.string().optional(),
-  requestId: z.string().optional()
-}, async ({ limit, filter, requestId }) => {
-  try {
-    if (!fs.existsSync(LOGS_DIR)) {
-      return {
-        content: [{
-          type: "text",
-          text: "No logs available - log directory not found"
-        }]
-      };
-    }
-
-    const logFiles = fs.readdirSync(LOGS_DIR)
-      .filter(file => file.endsWith('.json'))
-      .sort()
-      .reverse()
-      .map(file => path.join(LOGS_DIR, file));
-    
-    let allLogs = [];
-    
-    for (const logFile of logFiles) {
-      try {
-        const logData = fs.readFileSync(logFile, 'utf8');
-        const logs = logData ? JSON.parse(logData) : [];
-        
-        const filteredLogs = filter ? 
-          logs.filter(entry => 
-            entry.action.includes(filter) || 
-            (entry.command && entry.command.includes(filter)) ||
-            (entry.name && entry.name.includes(filter))
-          ) : logs;
-        
-        allLogs = [...allLogs, ...filteredLogs];
-        
-        if (allLogs.length >= limit) {
-          allLogs = allLogs.slice(0, limit);
-          break;
-        }
-      } catch (err) {
-        console.error(`Error reading log file ${logFile}:`, err);
-      }
-    }
-    
-    logAction('logs_queried', {
-      requestId,
-      count: allLogs.length,
-      filter
-    });
-
-    return {
-      content: [{
-        type: "text",
-        text: `Recent ${allLogs.length} log entries:\n\n${allLogs.map(entry => 
-          `${entry.timestamp} [${entry.action}] ${
-            entry.command ? `Command: ${entry.command}` : 
-            entry.name ? `Name: ${entry.name}` : ''
-          } ${entry.status || ''}`
-        ).join('\n')}`
-      }]
-    };
-  } catch (error) {
-    logAction('log_query_failed', {
-      requestId,
-      error: error.message
-    });
-    return {
-      content: [{
-        type: "text",
-        text: `Log query failed: ${error.message}`
-      }]
-    };
-  }
-});
-
-// ======================
-// Resource Endpoints
-// ======================
-server.resource("commands", new ResourceTemplate("cmd://commands", { list: undefined }), async () => {
-  try {
-    const commands = loadCommands();
-    return {
-      contents: [{
-        uri: "cmd://commands",
-        text: JSON.stringify(commands, null, 2),
-        metadata: { "content-type": "application/json" }
-      }]
-    };
-  } catch (error) {
-    return {
-      contents: [{
-        uri: "cmd://commands",
-        text: `Error loading commands: ${error.message}`
-      }]
-    };
-  }
-});
-
-server.resource("command", new ResourceTemplate("cmd://command/{name}", { list: undefined }), async (uri, { name }) => {
-  try {
-    const commands = loadCommands();
-    const command = commands.find(cmd => cmd.name === name);
-    
-    if (!command) {
-      return {
-        contents: [{
-          uri: uri.href,
-          text: `Command not found: ${name}`
-        }]
-      };
-    }
-    
-    return {
-      contents: [{
-        uri: uri.href,
-        text: JSON.stringify(command, null, 2),
-        metadata: { "content-type": "application/json" }
-      }]
-    };
-  } catch (error) {
-    return {
-      contents: [{
-        uri: uri.href,
-        text: `Error loading command: ${error.message}`
-      }]
-    };
-  }
-});
-
-// ======================
-// Server Start
-// ======================
-console.log(`Service ready on port ${PORT}`);
-logAction('service_started');
-const transport = new StdioServerTransport();
-await server.connect(transport);
\ No newline at end of file
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { z } from "zod";
+import { execFile, execFileSync, spawn } from 'child_process';
+import { randomUUID, randomBytes, createHash, createHmac, timingSafeEqual } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import dgram from 'dgram';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import readline from 'readline';
+import { StringDecoder } from 'string_decoder';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import minimist from 'minimist';
+
+// ======================
+// Configuration Setup
+// ======================
+// Positionals (e.g. approval ids like 00123456) and notes stay strings
+const args = minimist(process.argv.slice(2), { string: ['_', 'note'] });
+const COMMANDS_FILE = path.resolve(args.file || "commands.json");
+const LOGS_DIR = path.resolve(args.logs || "logs");
+const PORT = Number(args.port || process.env.PORT || 3000);
+const HOST = args.host || "127.0.0.1";
+const TRANSPORT = args.transport || "stdio";
+const CONFIRMATION_TTL_MS = Number(args['confirm-ttl'] || 120) * 1000;
+const LOG_MAX_DAYS = Number(args['log-max-days'] ?? 30);
+const LOG_MAX_SIZE_MB = Number(args['log-max-size-mb'] ?? 1024);
+const LOG_COMPRESS_AFTER_DAYS = Number(args['log-compress-after-days'] ?? 1);
+const DEFAULT_TIMEOUT_MS = Number(args['timeout-ms'] ?? 60000);
+const DEFAULT_MAX_OUTPUT_BYTES = Number(args['max-output-bytes'] ?? 65536);
+const DEFAULT_TRUNCATE = args.truncate || "tail";
+const DEFAULT_JOB_TIMEOUT_MS = Number(args['job-timeout-ms'] ?? 60 * 60 * 1000);
+const DEFAULT_MAX_JOBS_PER_COMMAND = Number(args['max-jobs-per-command'] ?? 2);
+const JOB_BUFFER_BYTES = Number(args['job-buffer-bytes'] ?? 1024 * 1024);
+const DEFAULT_ENV_INHERIT = args['env-inherit']
+  ? String(args['env-inherit']).split(',').map(name => name.trim()).filter(Boolean)
+  : ["PATH", "HOME", "USER", "LOGNAME", "SHELL", "LANG", "LC_ALL", "TZ", "TERM", "TMPDIR", "TMP", "TEMP",
+     "SystemRoot", "SystemDrive", "ComSpec", "PATHEXT", "WINDIR", "USERPROFILE", "APPDATA", "LOCALAPPDATA"];
+const CONFIRMATION_MODE = args['confirmation-mode'] || "token";
+const APPROVAL_TTL_MS = Number(args['approval-ttl'] ?? 900) * 1000;
+const APPROVALS_FILE = path.resolve(args.approvals || path.join(path.dirname(COMMANDS_FILE), "approvals.json"));
+const DEFAULT_CALLS_PER_MINUTE = Number(args['rate-per-minute'] ?? 60);
+const DEFAULT_MAX_CONCURRENT = Number(args['max-concurrent'] ?? 4);
+const DANGEROUS_CALLS_PER_MINUTE = Number(args['dangerous-rate-per-minute'] ?? 5);
+const DANGEROUS_MAX_CONCURRENT = Number(args['dangerous-max-concurrent'] ?? 1);
+const DEFAULT_DAILY_QUOTA = Number(args['daily-quota'] ?? 0);
+const QUOTA_BY = args['quota-by'] || "caller";
+const CONFIG_HISTORY_DIR = path.resolve(args['config-history'] || `${COMMANDS_FILE}.history`);
+const CONFIG_HISTORY_MAX = Number(args['config-history-max'] ?? 100);
+const DEFAULT_SANDBOX = args.sandbox || "direct";
+const DEFAULT_MAX_STDIN_BYTES = Number(args['max-stdin-bytes'] ?? 64 * 1024);
+const DEFAULT_SANDBOX_USER = args['sandbox-user'] || "nobody";
+const CLI_COMMAND = args._[0];
+const LOG_HMAC_KEY_FILE = args['log-hmac-key-file'] ? path.resolve(args['log-hmac-key-file']) : null;
+const NOTIFY_FILE = args.notify ? path.resolve(args.notify) : null;
+const AUTH_FILE = (args.auth || process.env.CMD_EXEC_AUTH_FILE) ? path.resolve(args.auth || process.env.CMD_EXEC_AUTH_FILE) : null;
+
+if (!["stdio", "http"].includes(TRANSPORT)) {
+  console.error(`Fatal: Unknown transport "${TRANSPORT}" (expected "stdio" or "http")`);
+  process.exit(1);
+}
+
+if (!["head", "tail"].includes(DEFAULT_TRUNCATE)) {
+  console.error(`Fatal: Unknown truncation strategy "${DEFAULT_TRUNCATE}" (expected "head" or "tail")`);
+  process.exit(1);
+}
+
+let LOG_HMAC_KEY = process.env.CMD_EXEC_LOG_HMAC_KEY || null;
+if (LOG_HMAC_KEY_FILE) {
+  try {
+    LOG_HMAC_KEY = fs.readFileSync(LOG_HMAC_KEY_FILE, 'utf8').trim();
+  } catch (err) {
+    console.error(`Fatal: Cannot read log HMAC key file: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+if (!["caller", "request-prefix"].includes(QUOTA_BY)) {
+  console.error(`Fatal: Unknown quota key "${QUOTA_BY}" (expected "caller" or "request-prefix")`);
+  process.exit(1);
+}
+
+if (!["direct", "user", "bubblewrap", "unshare"].includes(DEFAULT_SANDBOX)) {
+  console.error(`Fatal: Unknown default sandbox "${DEFAULT_SANDBOX}" (expected "direct", "user", "bubblewrap" or "unshare")`);
+  process.exit(1);
+}
+
+if (!["token", "approval"].includes(CONFIRMATION_MODE)) {
+  console.error(`Fatal: Unknown confirmation mode "${CONFIRMATION_MODE}" (expected "token" or "approval")`);
+  process.exit(1);
+}
+
+// With the stdio transport stdout carries JSON-RPC, so status messages go to stderr
+const logStatus = TRANSPORT === "stdio" ? console.error : console.log;
+
+if (!CLI_COMMAND) {
+  logStatus(`Starting service with:
+  Commands file: ${COMMANDS_FILE}
+  Logs directory: ${LOGS_DIR}
+  Transport: ${TRANSPORT}
+  Auth file: ${AUTH_FILE || '(none, access control disabled)'}
+  Notifications: ${NOTIFY_FILE || '(none)'}
+  Default sandbox: ${DEFAULT_SANDBOX}${DEFAULT_SANDBOX === "user" ? ` (${DEFAULT_SANDBOX_USER})` : ''}
+  Dangerous commands: ${CONFIRMATION_MODE === "approval" ? `human approval (${APPROVALS_FILE})` : 'confirmation token'}
+  Working directory: ${process.cwd()}
+  PID: ${process.pid}
+`);
+}
+
+// ======================
+// File System Utilities
+// ======================
+function ensureDirectory(dirPath) {
+  if (!fs.existsSync(dirPath)) {
+    fs.mkdirSync(dirPath, { recursive: true });
+    logStatus(`Created directory: ${dirPath}`);
+  }
+}
+
+function getCurrentDateString() {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function getTodayLogFile() {
+  ensureDirectory(LOGS_DIR);
+  return path.join(LOGS_DIR, `${getCurrentDateString()}.jsonl`);
+}
+
+// ======================
+// File Locking
+// ======================
+// Service processes started by different MCP clients share the commands
+// file, the approvals file and the log directory. A writer holds a lock
+// file created exclusively next to the store, recording its pid and host.
+// A lock whose owner died on this host, or one older than LOCK_STALE_MS
+// from another host, is taken over. Locks are re-entrant within a process
+// and held only for a read-modify-write, so waiting for one blocks briefly.
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 60 * 1000;
+const LOCK_RETRY_MS = 10;
+
+const heldLocks = new Map();
+const lockSleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// Returns the contents of a stale lock file, or null
+function readStaleLock(lockPath) {
+  try {
+    const contents = fs.readFileSync(lockPath, 'utf8');
+    const owner = JSON.parse(contents);
+    const stale = owner.host === os.hostname()
+      ? !isProcessAlive(owner.pid)
+      : Date.now() - owner.lockedAt > LOCK_STALE_MS;
+    return stale ? contents : null;
+  } catch (err) {
+    // Released meanwhile, or its owner is still writing it
+    return null;
+  }
+}
+
+// Returns a function releasing the lock. Throws after LOCK_TIMEOUT_MS, or
+// returns null at once when `wait` is false and another process holds it.
+function acquireFileLock(lockPath, { wait = true } = {}) {
+  const release = () => {
+    const depth = heldLocks.get(lockPath) - 1;
+    if (depth > 0) {
+      heldLocks.set(lockPath, depth);
+      return;
+    }
+    heldLocks.delete(lockPath);
+    fs.rmSync(lockPath, { force: true });
+  };
+
+  if (heldLocks.has(lockPath)) {
+    heldLocks.set(lockPath, heldLocks.get(lockPath) + 1);
+    return release;
+  }
+
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), lockedAt: Date.now() }), { flag: 'wx' });
+      heldLocks.set(lockPath, 1);
+      return release;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    const staleContents = readStaleLock(lockPath);
+    if (staleContents) {
+      // Renaming first lets only one of several waiters remove it. Another
+      // waiter may have replaced the stale lock with a live one between the
+      // check and the rename, so what was moved is checked again and put
+      // back (without overwriting a newer lock) unless it is still stale.
+      const stalePath = `${lockPath}.${process.pid}.stale`;
+      try {
+        fs.renameSync(lockPath, stalePath);
+        if (fs.readFileSync(stalePath, 'utf8') !== staleContents) {
+          try {
+            fs.linkSync(stalePath, lockPath);
+          } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+          }
+        }
+        fs.rmSync(stalePath, { force: true });
+      } catch (err) {
+        // Another waiter took it over first
+      }
+      continue;
+    }
+
+    if (!wait) return null;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out after ${LOCK_TIMEOUT_MS}ms waiting for ${lockPath}`);
+    }
+    Atomics.wait(lockSleepCell, 0, 0, LOCK_RETRY_MS);
+  }
+}
+
+function withFileLock(lockPath, fn) {
+  const release = acquireFileLock(lockPath);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+// ======================
+// Logging System
+// ======================
+// Holds the caller of the tool call or HTTP request being handled so every
+// log entry written on its behalf records who triggered it
+const callerContext = new AsyncLocalStorage();
+
+// Day files are append-only JSON Lines (YYYY-MM-DD.jsonl). Entries are
+// buffered and appended in batches; older days are gzipped and pruned by
+// the retention settings. Every entry carries a sequence number and a hash
+// chained to the previous entry across day files (see Audit Chain).
+const LOG_FLUSH_INTERVAL_MS = 100;
+const LOG_FLUSH_MAX_ENTRIES = 100;
+const LOG_RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+const LOG_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl(\.gz)?$/;
+const LEGACY_LOG_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Held while chaining and appending a batch, and while retention runs
+const LOG_LOCK_FILE = path.join(LOGS_DIR, '.write.lock');
+const LOG_RETENTION_LOCK_FILE = path.join(LOGS_DIR, '.retention.lock');
+
+let logBuffer = [];
+let logFlushTimer = null;
+let logFlushPromise = Promise.resolve();
+
+function initLogSystem() {
+  ensureDirectory(LOGS_DIR);
+  migrateLegacyLogs();
+
+  if (!fs.existsSync(getTodayLogFile())) {
+    logAction('service_started', {
+      version: '2.6.1',
+      configFile: COMMANDS_FILE,
+      logDir: LOGS_DIR
+    });
+  }
+
+  applyLogRetention().catch(err => console.error('Log retention failed:', err));
+  setInterval(() => {
+    applyLogRetention().catch(err => console.error('Log retention failed:', err));
+  }, LOG_RETENTION_INTERVAL_MS).unref();
+}
+
+function logAction(action, details = {}) {
+  const caller = callerContext.getStore();
+  const logEntry = {
+    timestamp: new Date().toISOString(),
+    action,
+    pid: process.pid,
+    caller: caller ? caller.id : 'system',
+    callerRole: caller ? caller.role : undefined,
+    ...details
+  };
+
+  if (typeof logEntry.command === 'string') {
+    const { text, count } = redactText(logEntry.command, getLogRedactionRules());
+    logEntry.command = text;
+    if (count > 0) logEntry.redactions = (logEntry.redactions || 0) + count;
+  }
+
+  try {
+    logBuffer.push({ file: getTodayLogFile(), entry: JSON.parse(JSON.stringify(logEntry)) });
+  } catch (err) {
+    console.error('Log write failed:', err);
+    return;
+  }
+  queueNotifications(logBuffer[logBuffer.length - 1].entry);
+
+  if (logBuffer.length >= LOG_FLUSH_MAX_ENTRIES) {
+    flushLogs();
+  } else if (!logFlushTimer) {
+    logFlushTimer = setTimeout(flushLogs, LOG_FLUSH_INTERVAL_MS);
+    logFlushTimer.unref();
+  }
+}
+
+function takeLogBatches() {
+  clearTimeout(logFlushTimer);
+  logFlushTimer = null;
+  const batches = new Map();
+  if (logBuffer.length > 0) syncLogChain(logBuffer[0].file);
+  for (const { file, entry } of logBuffer) {
+    const line = JSON.stringify(chainLogEntry(entry)) + '\n';
+    batches.set(file, (batches.get(file) || '') + line);
+    if (logChain.file !== file) {
+      logChain.file = file;
+      logChain.size = fileSizeOrZero(file);
+    }
+    logChain.size += Buffer.byteLength(line);
+  }
+  logBuffer = [];
+  return batches;
+}
+
+// Appends buffered entries; flushes are chained so batches never interleave,
+// and the log lock keeps other processes from appending in between
+function flushLogs() {
+  logFlushPromise = logFlushPromise.then(async () => {
+    if (logBuffer.length === 0) return;
+    let release;
+    try {
+      release = acquireFileLock(LOG_LOCK_FILE);
+    } catch (err) {
+      console.error('Log write failed:', err);
+      return;
+    }
+    try {
+      for (const [file, data] of takeLogBatches()) {
+        try {
+          await fs.promises.appendFile(file, data);
+        } catch (err) {
+          console.error('Log write failed:', err);
+        }
+      }
+    } finally {
+      release();
+    }
+  });
+  return logFlushPromise;
+}
+
+// Used on exit, when pending async writes would never complete
+function flushLogsSync() {
+  if (logBuffer.length === 0) return;
+  try {
+    withFileLock(LOG_LOCK_FILE, () => {
+      for (const [file, data] of takeLogBatches()) {
+        try {
+          fs.appendFileSync(file, data);
+        } catch (err) {
+          console.error('Log write failed:', err);
+        }
+      }
+    });
+  } catch (err) {
+    console.error('Log write failed:', err);
+  }
+}
+
+function listLogFiles() {
+  if (!fs.existsSync(LOGS_DIR)) return [];
+  return fs.readdirSync(LOGS_DIR)
+    .map(file => {
+      const match = file.match(LOG_FILE_PATTERN);
+      return match && { file: path.join(LOGS_DIR, file), date: match[1], compressed: Boolean(match[2]) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Converts YYYY-MM-DD.json arrays written by earlier versions into .jsonl
+// files. Entries already in a .jsonl file of the same day are kept after them.
+function migrateLegacyLogs() {
+  let migrated = 0;
+  for (const file of fs.readdirSync(LOGS_DIR)) {
+    const match = file.match(LEGACY_LOG_FILE_PATTERN);
+    if (!match) continue;
+
+    const legacyFile = path.join(LOGS_DIR, file);
+    const targetFile = path.join(LOGS_DIR, `${match[1]}.jsonl`);
+    try {
+      const data = fs.readFileSync(legacyFile, 'utf8');
+      const entries = data.trim() ? JSON.parse(data) : [];
+      if (!Array.isArray(entries)) {
+        throw new Error("Legacy log file is not a JSON array");
+      }
+
+      const existing = fs.existsSync(targetFile) ? fs.readFileSync(targetFile, 'utf8') : '';
+      const tmpFile = `${targetFile}.tmp`;
+      fs.writeFileSync(tmpFile, entries.map(entry => JSON.stringify(entry) + '\n').join('') + existing);
+      fs.renameSync(tmpFile, targetFile);
+      fs.unlinkSync(legacyFile);
+      migrated++;
+    } catch (err) {
+      console.error(`Failed to migrate log file ${legacyFile}:`, err);
+      logAction('log_migration_failed', { file: legacyFile, error: err.message });
+    }
+  }
+
+  if (migrated > 0) {
+    logAction('logs_migrated', { files: migrated });
+  }
+}
+
+async function compressLogFile(file) {
+  const tmpFile = `${file}.gz.tmp`;
+  await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(tmpFile));
+  fs.renameSync(tmpFile, `${file}.gz`);
+  fs.unlinkSync(file);
+}
+
+function daysAgoDateString(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Only one process applies retention at a time; the others skip the run
+async function applyLogRetention() {
+  const release = acquireFileLock(LOG_RETENTION_LOCK_FILE, { wait: false });
+  if (!release) return;
+  try {
+    await pruneAndCompressLogs();
+  } finally {
+    release();
+  }
+}
+
+// Removes days beyond LOG_MAX_DAYS, gzips days older than
+// LOG_COMPRESS_AFTER_DAYS, then removes the oldest days while the total
+// exceeds LOG_MAX_SIZE_MB. A limit of 0 disables that rule; today's file
+// is never touched.
+async function pruneAndCompressLogs() {
+  const today = getCurrentDateString();
+  const compressed = [];
+  const pruned = [];
+  const pastFiles = () => listLogFiles().filter(entry => entry.date !== today);
+
+  if (LOG_MAX_DAYS > 0) {
+    const cutoff = daysAgoDateString(LOG_MAX_DAYS);
+    for (const entry of pastFiles().filter(f => f.date < cutoff)) {
+      fs.unlinkSync(entry.file);
+      pruned.push(path.basename(entry.file));
+    }
+  }
+
+  if (LOG_COMPRESS_AFTER_DAYS > 0) {
+    const cutoff = daysAgoDateString(LOG_COMPRESS_AFTER_DAYS - 1);
+    for (const entry of pastFiles().filter(f => !f.compressed && f.date < cutoff)) {
+      try {
+        await compressLogFile(entry.file);
+        compressed.push(entry.date);
+      } catch (err) {
+        console.error(`Failed to compress log file ${entry.file}:`, err);
+      }
+    }
+  }
+
+  if (LOG_MAX_SIZE_MB > 0) {
+    const maxBytes = LOG_MAX_SIZE_MB * 1024 * 1024;
+    let total = listLogFiles().reduce((sum, entry) => sum + fs.statSync(entry.file).size, 0);
+    for (const entry of pastFiles().reverse()) {
+      if (total <= maxBytes) break;
+      total -= fs.statSync(entry.file).size;
+      fs.unlinkSync(entry.file);
+      pruned.push(path.basename(entry.file));
+    }
+  }
+
+  if (compressed.length > 0) logAction('logs_compressed', { dates: compressed });
+  if (pruned.length > 0) logAction('logs_pruned', { files: pruned });
+}
+
+// Readers yield { line, offset } where offset is the byte position of the
+// line in the uncompressed day file, so a cursor stays valid after the day
+// is gzipped. Only lines starting before `before` are returned.
+async function* readLinesReverse(file, before = Infinity, chunkSize = 64 * 1024) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    let position = Math.min((await handle.stat()).size, before);
+    let leftover = Buffer.alloc(0);
+
+    while (position > 0) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+
+      // Split on raw newline bytes so multi-byte characters are never cut
+      const buffer = Buffer.concat([chunk, leftover]);
+      let end = buffer.length;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (i + 1 < end) yield { line: buffer.toString('utf8', i + 1, end), offset: position + i + 1 };
+        end = i;
+      }
+      leftover = buffer.subarray(0, end);
+    }
+
+    if (leftover.length > 0) yield { line: leftover.toString('utf8'), offset: 0 };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Gzip streams cannot be read backwards, so a compressed day is read
+// forward into memory and then walked in reverse
+async function* readCompressedLinesReverse(file, before = Infinity) {
+  const lines = [];
+  let offset = 0;
+  const input = fs.createReadStream(file).pipe(zlib.createGunzip());
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    if (line && offset < before) lines.push({ line, offset });
+    offset += Buffer.byteLength(line) + 1;
+  }
+  for (let i = lines.length - 1; i >= 0; i--) yield lines[i];
+}
+
+// Yields { entry, cursor } newest first across all day files, resuming
+// after `cursor` when one is given
+async function* readLogEntriesReverse({ cursor, sinceDate, untilDate } = {}) {
+  await flushLogs();
+  for (const { file, date, compressed } of listLogFiles()) {
+    if (cursor && date > cursor.d) continue;
+    if (untilDate && date > untilDate) continue;
+    if (sinceDate && date < sinceDate) break;
+
+    const before = cursor && date === cursor.d ? cursor.p : Infinity;
+    let lines = compressed ? readCompressedLinesReverse(file, before) : readLinesReverse(file, before);
+    let first;
+    try {
+      first = await lines.next();
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      // Retention compressed or pruned the day since it was listed
+      if (compressed || !fs.existsSync(`${file}.gz`)) continue;
+      lines = readCompressedLinesReverse(`${file}.gz`, before);
+      first = await lines.next();
+    }
+
+    try {
+      for (let item = first; !item.done; item = await lines.next()) {
+        let entry;
+        try {
+          entry = JSON.parse(item.value.line);
+        } catch (err) {
+          console.error(`Skipping malformed log line in ${file}`);
+          continue;
+        }
+        yield { entry, cursor: { d: date, p: item.value.offset } };
+      }
+    } finally {
+      // Closes the file when the consumer stops early
+      await lines.return();
+    }
+  }
+}
+
+function encodeLogCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeLogCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (typeof cursor.d === 'string' && Number.isInteger(cursor.p)) return cursor;
+  } catch (err) {
+    // Fall through to the error below
+  }
+  throw new Error("Invalid cursor");
+}
+
+const RELATIVE_TIME_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Accepts an ISO timestamp or a duration before now such as "30m" or "7d"
+function parseTimeBound(value, name) {
+  const relative = value.match(/^(\d+)([smhd])$/);
+  const time = relative
+    ? Date.now() - Number(relative[1]) * RELATIVE_TIME_UNITS[relative[2]]
+    : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid ${name} "${value}": use an ISO timestamp or a duration like 30m, 2h or 7d`);
+  }
+  return time;
+}
+
+// Day files are named by local date while timestamps are UTC, so the day
+// bounds are widened by one day on each side
+function dateBoundString(time, dayShift) {
+  const date = new Date(time + dayShift * RELATIVE_TIME_UNITS.d);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function buildLogEntryFilter({ filter, since, until, actions, status, entryRequestId, command }) {
+  return (entry) => {
+    const time = Date.parse(entry.timestamp);
+    if (since !== undefined && !(time >= since)) return false;
+    if (until !== undefined && !(time <= until)) return false;
+    if (actions && !actions.includes(entry.action)) return false;
+    if (status && entry.status !== status) return false;
+    if (entryRequestId && entry.requestId !== entryRequestId) return false;
+    if (command) {
+      const target = entry.command || entry.name;
+      if (typeof target !== 'string') return false;
+      // Match the command name alone as well as the full command line
+      if (!matchesGlob(target, command) && !matchesGlob(target.split(' ')[0], command)) return false;
+    }
+    if (filter) {
+      return entry.action.includes(filter) ||
+        (typeof entry.command === 'string' && entry.command.includes(filter)) ||
+        (typeof entry.name === 'string' && entry.name.includes(filter));
+    }
+    return true;
+  };
+}
+
+function formatLogEntry(entry) {
+  const subject = entry.command ? `Command: ${entry.command}` : entry.name ? `Name: ${entry.name}` : '';
+  const details = [
+    entry.status,
+    entry.executionTime !== undefined ? `${entry.executionTime}ms` : '',
+    entry.requestId ? `requestId=${entry.requestId}` : '',
+    entry.caller && entry.caller !== 'system' ? `caller=${entry.caller}` : '',
+    entry.reason ? `reason: ${entry.reason}` : '',
+    entry.error ? `error: ${entry.error}` : '',
+    entry.changes ? `changes: ${JSON.stringify(entry.changes)}` : ''
+  ].filter(Boolean);
+  return `${entry.timestamp} [${entry.action}] ${subject} ${details.join(' | ')}`.trimEnd();
+}
+
+// ======================
+// Notifications
+// ======================
+// With --notify, log entries matching a route are also sent to its sinks:
+// an HTTP webhook (retried with exponential backoff), syslog (through the
+// local `logger` command, or UDP to `host`) or an append-only JSONL alert
+// file. logAction only queues them; each sink delivers in order in the
+// background, and at most NOTIFY_MAX_PENDING events wait per sink.
+const NOTIFY_MAX_PENDING = 500;
+const NOTIFY_EXIT_GRACE_MS = 3000;
+const NOTIFY_CRASH_GRACE_MS = 1000;
+const SYSLOG_FACILITIES = { kern: 0, user: 1, daemon: 3, auth: 4, syslog: 5, authpriv: 10, local0: 16, local1: 17, local2: 18, local3: 19, local4: 20, local5: 21, local6: 22, local7: 23 };
+
+// Used when the config has sinks but no routes
+const DEFAULT_NOTIFY_ROUTES = [
+  { actions: ["dangerous_command_*", "approval_*", "uncaught_exception", "auth_failed", "tool_forbidden", "command_forbidden", "logs_verification_failed"] },
+  { actions: ["command_added", "commands_imported"], where: { dangerous: true } }
+];
+
+const notifySinkSpec = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("webhook"),
+    url: z.string().url().refine(url => /^https?:/.test(url), "must be an http or https URL"),
+    headers: z.record(z.string()).optional(),
+    retries: z.number().int().nonnegative().optional(),
+    backoffMs: z.number().int().positive().optional(),
+    timeoutMs: z.number().int().positive().optional()
+  }).strict(),
+  z.object({
+    type: z.literal("syslog"),
+    tag: z.string().min(1).optional(),
+    facility: z.enum(Object.keys(SYSLOG_FACILITIES)).optional(),
+    host: z.string().min(1).optional(),
+    port: z.number().int().positive().optional()
+  }).strict(),
+  z.object({
+    type: z.literal("file"),
+    path: z.string().min(1)
+  }).strict()
+]);
+
+const notifyConfigSpec = z.object({
+  sinks: z.record(notifySinkSpec),
+  routes: z.array(z.object({
+    actions: z.array(z.string().min(1)).min(1),
+    commands: z.array(z.string().min(1)).optional(),
+    where: z.record(z.union([z.string(), z.number(), z.boolean(), z.null()])).optional(),
+    sinks: z.array(z.string()).optional()
+  }).strict()).optional()
+}).strict();
+
+let notifyConfig = null;
+const notifySinks = new Map();
+
+// Reads and checks the --notify file; exits on an invalid one
+function initNotifications() {
+  if (!NOTIFY_FILE) return;
+  try {
+    const parsed = notifyConfigSpec.parse(JSON.parse(fs.readFileSync(NOTIFY_FILE, 'utf8')));
+    for (const [index, route] of (parsed.routes || []).entries()) {
+      const unknown = (route.sinks || []).filter(name => !parsed.sinks[name]);
+      if (unknown.length > 0) throw new Error(`routes[${index}]: unknown sink(s) ${unknown.join(', ')}`);
+    }
+    for (const [name, sink] of Object.entries(parsed.sinks)) {
+      if (sink.type === "file") sink.path = path.resolve(path.dirname(NOTIFY_FILE), sink.path);
+      notifySinks.set(name, { name, sink, chain: Promise.resolve(), pending: 0, dropped: 0 });
+    }
+    notifyConfig = parsed;
+  } catch (err) {
+    const detail = err instanceof z.ZodError
+      ? err.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ')
+      : err.message;
+    console.error(`Fatal: Invalid notification config ${NOTIFY_FILE}: ${detail}`);
+    process.exit(1);
+  }
+}
+
+// Names of the sinks a log entry goes to
+function routeNotification(entry) {
+  // Reports about notifications themselves are never routed, so a failing
+  // sink cannot feed itself
+  if (!notifyConfig || entry.action.startsWith('notification_')) return [];
+  const target = entry.name || entry.command;
+  const sinks = new Set();
+  for (const route of notifyConfig.routes || DEFAULT_NOTIFY_ROUTES) {
+    if (!route.actions.some(pattern => matchesGlob(entry.action, pattern))) continue;
+    if (route.commands && !(typeof target === 'string' &&
+        route.commands.some(pattern => matchesGlob(target, pattern) || matchesGlob(target.split(' ')[0], pattern)))) continue;
+    if (route.where && !Object.entries(route.where).every(([key, value]) => entry[key] === value)) continue;
+    (route.sinks || Object.keys(notifyConfig.sinks)).forEach(name => sinks.add(name));
+  }
+  return [...sinks];
+}
+
+// Called by logAction; never waits for delivery
+function queueNotifications(logEntry) {
+  const sinks = routeNotification(logEntry);
+  // Copied now, as the audit chain adds its fields to the buffered entry
+  const entry = { ...logEntry };
+  for (const name of sinks) {
+    const state = notifySinks.get(name);
+    if (state.pending >= NOTIFY_MAX_PENDING) {
+      state.dropped++;
+      continue;
+    }
+    state.pending++;
+    const payload = { source: "secure-command-executor", host: os.hostname(), event: entry };
+    state.chain = state.chain
+      .then(() => deliverNotification(state.sink, payload))
+      .catch((err) => {
+        logAction('notification_failed', { sink: name, event: entry.action, requestId: entry.requestId, error: err.message });
+      })
+      .finally(() => {
+        state.pending--;
+        if (state.dropped > 0 && state.pending === 0) {
+          logAction('notification_dropped', { sink: name, count: state.dropped });
+          state.dropped = 0;
+        }
+      });
+  }
+}
+
+async function deliverNotification(sink, payload) {
+  if (sink.type === "webhook") return deliverWebhook(sink, payload);
+  if (sink.type === "syslog") return deliverSyslog(sink, payload);
+  await fs.promises.appendFile(sink.path, JSON.stringify(payload.event) + '\n');
+}
+
+// Network errors, 429 and 5xx are retried after backoffMs, 2 * backoffMs, ...
+async function deliverWebhook(sink, payload) {
+  const retries = sink.retries ?? 3;
+  const backoffMs = sink.backoffMs ?? 1000;
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    let retryable = true;
+    try {
+      const response = await fetch(sink.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...sink.headers },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(sink.timeoutMs ?? 5000)
+      });
+      if (response.ok) return;
+      error = new Error(`Webhook answered ${response.status}`);
+      retryable = response.status === 429 || response.status >= 500;
+    } catch (err) {
+      error = err;
+    }
+    if (!retryable) throw error;
+    if (attempt >= retries) throw new Error(`${error.message} (after ${attempt + 1} attempts)`);
+    await new Promise(resolve => setTimeout(resolve, backoffMs * 2 ** attempt));
+  }
+}
+
+function deliverSyslog(sink, payload) {
+  const { event } = payload;
+  const severity = event.action === 'uncaught_exception' ? 2 : 4;
+  const tag = sink.tag || 'cmd-exec';
+  const facility = sink.facility || 'auth';
+  const message = `${event.action} ${JSON.stringify(event)}`;
+
+  if (!sink.host) {
+    return new Promise((resolve, reject) => {
+      execFile('logger', ['-t', tag, '-p', `${facility}.${severity === 2 ? 'crit' : 'warning'}`, '--', message], (err) => {
+        if (err) reject(new Error(`logger failed: ${err.message}`));
+        else resolve();
+      });
+    });
+  }
+
+  // RFC 3164 datagram
+  const priority = SYSLOG_FACILITIES[facility] * 8 + severity;
+  const date = new Date();
+  const timestamp = `${date.toLocaleString('en-US', { month: 'short' })} ${String(date.getDate()).padStart(2, ' ')} ${date.toTimeString().slice(0, 8)}`;
+  const datagram = Buffer.from(`<${priority}>${timestamp} ${os.hostname()} ${tag}[${process.pid}]: ${message}`);
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(sink.host.includes(':') ? 'udp6' : 'udp4');
+    socket.send(datagram, sink.port ?? 514, sink.host, (err) => {
+      socket.close();
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+// Resolves once queued notifications are delivered or `timeoutMs` passed
+function drainNotifications(timeoutMs) {
+  const chains = [...notifySinks.values()].map(state => state.chain);
+  let timer;
+  return Promise.race([
+    Promise.allSettled(chains),
+    new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// `notify-test [sink]` sends a notification_test event straight to one or
+// all sinks, skipping the routes; exits 1 when a delivery fails
+async function runNotifyTestCli(sinkName) {
+  if (!NOTIFY_FILE) {
+    console.error('No notification config, pass --notify');
+    return 1;
+  }
+  const targets = sinkName ? [sinkName] : [...notifySinks.keys()];
+  const entry = { timestamp: new Date().toISOString(), action: 'notification_test', pid: process.pid, caller: 'system' };
+  let failed = 0;
+  for (const name of targets) {
+    const state = notifySinks.get(name);
+    if (!state) {
+      console.error(`Unknown sink "${name}"`);
+      failed++;
+      continue;
+    }
+    try {
+      await deliverNotification(state.sink, { source: "secure-command-executor", host: os.hostname(), event: entry });
+      console.log(`${name} (${state.sink.type}): delivered`);
+    } catch (err) {
+      console.log(`${name} (${state.sink.type}): failed, ${err.message}`);
+      failed++;
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+// ======================
+// Audit Chain
+// ======================
+// Each entry gets `seq`, `prevHash` and `hash`, the SHA-256 of the entry as
+// written without `hash` and `hmac`. With an HMAC key, `hmac` signs `hash`
+// so the chain cannot be rebuilt without the key. The chain continues from
+// the last entry on disk; it is read again before chaining whenever another
+// process may have written since: the file we last wrote changed size, a
+// newer day file exists, or the batch goes to a file we have not written.
+let logChain = { seq: 0, hash: null, file: null, size: 0 };
+
+function fileSizeOrZero(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (err) {
+    return 0;
+  }
+}
+
+function hashLogEntry(entry) {
+  const { hash, hmac, ...content } = entry;
+  return createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+function signLogHash(hash) {
+  return createHmac('sha256', LOG_HMAC_KEY).update(hash).digest('hex');
+}
+
+function chainLogEntry(entry) {
+  const chained = { ...entry, seq: logChain.seq + 1, prevHash: logChain.hash };
+  chained.hash = hashLogEntry(chained);
+  if (LOG_HMAC_KEY) chained.hmac = signLogHash(chained.hash);
+  logChain.seq = chained.seq;
+  logChain.hash = chained.hash;
+  return chained;
+}
+
+// Reads the last line of a day file, growing the window until it holds a
+// whole line
+function readLastLogLine(file) {
+  if (file.endsWith('.gz')) {
+    const lines = zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').trimEnd().split('\n');
+    return lines.at(-1) || null;
+  }
+
+  const size = fileSizeOrZero(file);
+  const fd = fs.openSync(file, 'r');
+  try {
+    for (let window = 64 * 1024; ; window *= 4) {
+      const length = Math.min(window, size);
+      const buffer = Buffer.alloc(length);
+      fs.readSync(fd, buffer, 0, length, size - length);
+      const text = buffer.toString('utf8').trimEnd();
+      const newline = text.lastIndexOf('\n');
+      if (newline !== -1 || length === size) return text.slice(newline + 1) || null;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Called with the log lock held, before chaining a batch bound for targetFile
+function syncLogChain(targetFile) {
+  const newest = fs.existsSync(LOGS_DIR) ? listLogFiles()[0] : null;
+  if (logChain.file && logChain.file === targetFile && newest?.file === logChain.file &&
+      fileSizeOrZero(logChain.file) === logChain.size) return;
+
+  logChain = { seq: 0, hash: null, file: newest?.file || null, size: newest ? fileSizeOrZero(newest.file) : 0 };
+  if (!newest) return;
+
+  try {
+    const last = JSON.parse(readLastLogLine(newest.file) || 'null');
+    if (Number.isInteger(last?.seq) && typeof last.hash === 'string') {
+      logChain.seq = last.seq;
+      logChain.hash = last.hash;
+    }
+  } catch (err) {
+    console.error(`Cannot continue the log chain from ${newest.file}: ${err.message}`);
+  }
+}
+
+// Walks every day file oldest first and stops at the first problem. The
+// oldest entry on disk is trusted as the start of the chain, since
+// retention removes older days. Entries written before chaining existed
+// are allowed only before the first chained entry.
+async function verifyLogChain() {
+  await flushLogs();
+  const files = listLogFiles().reverse();
+  const report = { ok: true, files: files.length, entries: 0, firstSeq: null, lastSeq: null, signed: Boolean(LOG_HMAC_KEY), problem: null };
+  let previous = null;
+  let unchained = 0;
+
+  for (const { file, compressed } of files) {
+    const input = compressed ? fs.createReadStream(file).pipe(zlib.createGunzip()) : fs.createReadStream(file);
+    let lineNumber = 0;
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      lineNumber++;
+      if (!line) continue;
+      const fail = (type, detail) => {
+        report.ok = false;
+        report.problem = { type, file: path.basename(file), line: lineNumber, detail };
+      };
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        fail('unparseable', 'line is not valid JSON');
+      }
+
+      if (entry && entry.hash === undefined) {
+        if (previous) fail('unchained', `entry without hash after seq ${previous.seq}`);
+        else unchained++;
+      } else if (entry) {
+        if (hashLogEntry(entry) !== entry.hash) {
+          fail('hash_mismatch', `seq ${entry.seq} was modified`);
+        } else if (previous && entry.prevHash !== previous.hash) {
+          fail(entry.seq === previous.seq + 1 ? 'broken_link' : 'missing_entries',
+            `seq ${entry.seq} does not follow seq ${previous.seq}`);
+        } else if (previous && entry.seq !== previous.seq + 1) {
+          fail('sequence_gap', `seq ${entry.seq} follows seq ${previous.seq}`);
+        } else if (LOG_HMAC_KEY && entry.hmac !== signLogHash(entry.hash)) {
+          fail(entry.hmac ? 'hmac_mismatch' : 'missing_hmac', `seq ${entry.seq}`);
+        }
+      }
+
+      if (report.problem) {
+        input.destroy();
+        return report;
+      }
+      report.entries++;
+      if (entry.hash !== undefined) {
+        report.firstSeq ??= entry.seq;
+        report.lastSeq = entry.seq;
+        previous = entry;
+      }
+    }
+  }
+
+  if (unchained > 0) report.unchainedEntries = unchained;
+  return report;
+}
+
+function formatVerifyReport(report) {
+  const summary = `${report.entries} entries in ${report.files} file(s)` +
+    (report.firstSeq !== null ? `, seq ${report.firstSeq}-${report.lastSeq}` : '') +
+    (report.unchainedEntries ? `, ${report.unchainedEntries} older unchained entries` : '') +
+    (report.signed ? ', HMAC checked' : '');
+  if (report.ok) return `Log chain intact: ${summary}`;
+  const { type, file, line, detail } = report.problem;
+  return `Log chain BROKEN at ${file} line ${line}: ${type} (${detail})\nVerified before the break: ${summary}`;
+}
+
+// `node index.js verify-logs`; exits non-zero when the chain is broken
+async function runVerifyLogsCli() {
+  const report = await verifyLogChain();
+  console.log(formatVerifyReport(report));
+  return report.ok ? 0 : 1;
+}
+
+// ======================
+// Usage Statistics
+// ======================
+// Summarizes finished runs per command over a window of the logs: direct
+// runs, pipeline steps, whole pipelines and background jobs. Entries carry
+// the configured command `name`; older entries fall back to the first word
+// of the command line.
+const STATS_ACTIONS = ["command_executed", "command_failed", "pipeline_completed", "pipeline_failed", "job_finished"];
+const DEFAULT_STATS_WINDOW = "24h";
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function isSuccessfulRun(entry) {
+  return entry.status === 'success' || entry.status === 'succeeded';
+}
+
+function describeRunError(entry) {
+  if (entry.error) return entry.error;
+  if (entry.failedStep) return `${entry.status} at step ${entry.failedStep}`;
+  return entry.status;
+}
+
+// Returns per-command stats, most used first
+async function collectCommandStats({ since, until, command }) {
+  const matches = buildLogEntryFilter({ since, until, actions: STATS_ACTIONS });
+  const byName = new Map();
+
+  for await (const { entry } of readLogEntriesReverse({
+    sinceDate: dateBoundString(since, -1),
+    untilDate: until !== undefined ? dateBoundString(until, 1) : undefined
+  })) {
+    if (!matches(entry)) continue;
+    const name = entry.name || (typeof entry.command === 'string' ? entry.command.split(' ')[0] : 'unknown');
+    if (command && !matchesGlob(name, command)) continue;
+
+    if (!byName.has(name)) {
+      byName.set(name, { command: name, runs: 0, succeeded: 0, failed: 0, durations: [], lastRun: null, lastError: null });
+    }
+    const stats = byName.get(name);
+    stats.runs++;
+    if (Number.isFinite(entry.executionTime)) stats.durations.push(entry.executionTime);
+    // Entries are read newest first, so the first one seen is the latest
+    stats.lastRun ??= entry.timestamp;
+    if (isSuccessfulRun(entry)) {
+      stats.succeeded++;
+    } else {
+      stats.failed++;
+      stats.lastError ??= { timestamp: entry.timestamp, error: describeRunError(entry) };
+    }
+  }
+
+  return [...byName.values()]
+    .map(({ durations, ...stats }) => {
+      const sorted = durations.sort((a, b) => a - b);
+      return {
+        ...stats,
+        successRate: stats.runs > 0 ? stats.succeeded / stats.runs : null,
+        p50Ms: percentile(sorted, 0.5),
+        p95Ms: percentile(sorted, 0.95),
+        totalMs: sorted.reduce((sum, value) => sum + value, 0),
+        timedRuns: sorted.length
+      };
+    })
+    .sort((a, b) => b.runs - a.runs || a.command.localeCompare(b.command));
+}
+
+function formatCommandStats({ since, until, commands }) {
+  const window = `since ${since}${until ? ` until ${until}` : ''}`;
+  if (commands.length === 0) return `No command runs ${window}`;
+
+  const lines = commands.map(stats => {
+    let line = `${stats.command}: ${stats.runs} run(s), ${stats.succeeded} succeeded, ${stats.failed} failed ` +
+               `(${(stats.successRate * 100).toFixed(1)}% success)`;
+    if (stats.p50Ms !== null) line += `, p50 ${stats.p50Ms}ms, p95 ${stats.p95Ms}ms`;
+    line += `\n  Last run: ${stats.lastRun}`;
+    if (stats.lastError) line += `\n  Last error: ${stats.lastError.timestamp} ${stats.lastError.error}`;
+    return line;
+  });
+  return `Command stats ${window} (${commands.length} command(s)):\n\n${lines.join('\n')}`;
+}
+
+function escapeMetricLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Every metric is a gauge: the values cover a sliding window and go down as
+// runs leave it, which rate() on a counter would read as resets
+function formatPrometheusStats({ commands }) {
+  const metrics = [
+    ['cmd_exec_runs_window', 'gauge', 'Finished command runs in the window, by outcome', stats => [
+      [{ outcome: 'success' }, stats.succeeded],
+      [{ outcome: 'failure' }, stats.failed]
+    ]],
+    ['cmd_exec_duration_milliseconds', 'gauge', 'Command run duration quantiles in the window', stats => stats.timedRuns === 0 ? [] : [
+      [{ quantile: '0.5' }, stats.p50Ms],
+      [{ quantile: '0.95' }, stats.p95Ms]
+    ]],
+    ['cmd_exec_last_run_timestamp_seconds', 'gauge', 'Time of the latest run', stats => [
+      [{}, Date.parse(stats.lastRun) / 1000]
+    ]],
+    ['cmd_exec_last_error_timestamp_seconds', 'gauge', 'Time of the latest failed run', stats => stats.lastError ? [
+      [{}, Date.parse(stats.lastError.timestamp) / 1000]
+    ] : []]
+  ];
+
+  const lines = [];
+  for (const [metric, type, help, samples] of metrics) {
+    lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} ${type}`);
+    for (const stats of commands) {
+      for (const [labels, value] of samples(stats)) {
+        const labelText = Object.entries({ command: stats.command, ...labels })
+          .map(([key, label]) => `${key}="${escapeMetricLabel(label)}"`)
+          .join(',');
+        lines.push(`${metric}{${labelText}} ${value}`);
+      }
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// ======================
+// Command Configuration
+// ======================
+function ensureCommandsFile() {
+  ensureDirectory(path.dirname(COMMANDS_FILE));
+  
+  if (!fs.existsSync(COMMANDS_FILE)) {
+    // Without a shell, cmd.exe builtins such as dir run through `cmd /c`;
+    // the pattern keeps cmd.exe metacharacters out of the path
+    const defaultCommands = process.platform === "win32" ? [
+      {
+        name: "dir",
+        description: "List directory contents",
+        example: "dir /w",
+        dangerous: false,
+        enabled: true,
+        confirmationPrompt: "",
+        consequences: "",
+        argSchema: {
+          flags: [{ name: "/w" }, { name: "/b" }],
+          positionals: [{ name: "path", type: "path", pattern: "[^&|<>^%!\"]+" }],
+          maxArgs: 3
+        },
+        platforms: {
+          win32: { executable: "cmd", args: ["/d", "/c", "dir", "{{w}}", "{{b}}", "{{path}}"] }
+        }
+      },
+      {
+        name: "ping",
+        description: "Test network connection",
+        example: "ping -n 4 example.com",
+        dangerous: false,
+        enabled: true,
+        confirmationPrompt: "",
+        consequences: "",
+        argSchema: {
+          flags: [{ name: "-n", takesValue: true, type: "integer" }],
+          positionals: [{ name: "host", type: "hostname", required: true }],
+          maxArgs: 3
+        }
+      },
+      {
+        name: "format",
+        description: "Format disk drive",
+        example: "format C:",
+        dangerous: true,
+        enabled: false,
+        confirmationPrompt: "This will PERMANENTLY erase all data. Confirm?",
+        consequences: "Permanent data loss",
+        argSchema: {
+          positionals: [{ name: "drive", pattern: "[A-Za-z]:", required: true }],
+          maxArgs: 1
+        }
+      }
+    ] : [
+      {
+        name: "ls",
+        description: "List directory contents",
+        example: "ls -l /tmp",
+        dangerous: false,
+        enabled: true,
+        confirmationPrompt: "",
+        consequences: "",
+        argSchema: {
+          flags: [{ name: "-l" }, { name: "-a" }, { name: "-h" }],
+          positionals: [{ name: "path", type: "path" }],
+          maxArgs: 4
+        }
+      },
+      {
+        name: "ping",
+        description: "Test network connection",
+        example: "ping -c 4 example.com",
+        dangerous: false,
+        enabled: true,
+        confirmationPrompt: "",
+        consequences: "",
+        argSchema: {
+          flags: [{ name: "-c", takesValue: true, type: "integer" }],
+          positionals: [{ name: "host", type: "hostname", required: true }],
+          maxArgs: 3
+        }
+      },
+      {
+        name: "rm",
+        description: "Remove files or directories",
+        example: "rm -r ./build",
+        dangerous: true,
+        enabled: false,
+        confirmationPrompt: "This will PERMANENTLY delete the given paths. Confirm?",
+        consequences: "Permanent data loss",
+        argSchema: {
+          flags: [{ name: "-r" }, { name: "-f" }],
+          positionals: [{ name: "path", type: "path", required: true, variadic: true }]
+        }
+      }
+    ];
+    fs.writeFileSync(COMMANDS_FILE, JSON.stringify(defaultCommands, null, 2));
+    logStatus(`Created new commands file at: ${COMMANDS_FILE}`);
+    logAction('config_file_created', { file: COMMANDS_FILE });
+  }
+}
+
+function verifyFileAccess() {
+  try {
+    fs.accessSync(COMMANDS_FILE, fs.constants.R_OK | fs.constants.W_OK);
+    return true;
+  } catch (err) {
+    console.error(`Cannot access commands file: ${err.message}`);
+    return false;
+  }
+}
+
+// The validated config is cached in memory and swapped as a whole on
+// reload; callers get a copy they may modify before saveCommands. Reloads
+// and saves hold the config lock, shared with other service processes.
+const CONFIG_LOCK_FILE = `${COMMANDS_FILE}.lock`;
+
+let activeCommands = null;
+let activeCommandsHash = null;
+let commandsReloadTimer = null;
+
+function readCommandsFile() {
+  if (!fs.existsSync(COMMANDS_FILE)) {
+    throw new Error(`Commands file not found at ${COMMANDS_FILE}`);
+  }
+  const data = fs.readFileSync(COMMANDS_FILE, 'utf8');
+  let parsed;
+  try {
+    parsed = JSON.parse(data);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${COMMANDS_FILE}: ${err.message}`);
+  }
+  return { parsed, hash: createHash('sha256').update(data).digest('hex') };
+}
+
+// Loads and validates the file at startup; an invalid file is fatal here
+// because there is no earlier config to fall back to
+function initCommandConfig() {
+  let release = null;
+  try {
+    release = acquireFileLock(CONFIG_LOCK_FILE);
+    const { parsed, hash } = readCommandsFile();
+    const { commands, errors, warnings } = validateCommands(parsed);
+    if (errors.length > 0) {
+      throw new Error(`Invalid command config:\n  ${errors.join('\n  ')}`);
+    }
+    warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+    activeCommands = commands;
+    activeCommandsHash = hash;
+    recordConfigVersion(commands, hash, { author: 'system', action: 'load' });
+    logAction('config_loaded', {
+      count: commands.length,
+      version: activeConfigVersion ?? undefined,
+      warnings: warnings.length ? warnings : undefined
+    });
+  } catch (err) {
+    logAction('config_load_failed', { error: err.message });
+    console.error(`Fatal: ${err.message}`);
+    process.exit(1);
+  } finally {
+    release?.();
+  }
+  watchCommandsFile();
+}
+
+// Re-reads the file after a change. An invalid file is reported and the
+// last good config stays active.
+function reloadCommands(reason) {
+  let release = null;
+  try {
+    release = acquireFileLock(CONFIG_LOCK_FILE);
+    const { parsed, hash } = readCommandsFile();
+    if (hash === activeCommandsHash) return;
+
+    const { commands, errors, warnings } = validateCommands(parsed);
+    if (errors.length > 0) {
+      console.error(`Commands file change rejected, keeping last good config:\n  ${errors.join('\n  ')}`);
+      logAction('config_reload_failed', { reason, errors });
+      return;
+    }
+
+    warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+    activeCommands = commands;
+    activeCommandsHash = hash;
+    recordConfigVersion(commands, hash, { author: 'file', action: 'reload' });
+    logStatus(`Commands file reloaded (${commands.length} commands)`);
+    logAction('config_reloaded', {
+      reason,
+      count: commands.length,
+      version: activeConfigVersion ?? undefined,
+      warnings: warnings.length ? warnings : undefined
+    });
+  } catch (err) {
+    console.error(`Commands file reload failed, keeping last good config: ${err.message}`);
+    logAction('config_reload_failed', { reason, errors: [err.message] });
+  } finally {
+    release?.();
+  }
+}
+
+// Watches the directory rather than the file: saves replace the file by
+// rename, which would detach a watcher bound to the old file
+function watchCommandsFile() {
+  const fileName = path.basename(COMMANDS_FILE);
+  const watcher = fs.watch(path.dirname(COMMANDS_FILE), (eventType, changedFile) => {
+    if (changedFile && changedFile !== fileName) return;
+    clearTimeout(commandsReloadTimer);
+    commandsReloadTimer = setTimeout(() => reloadCommands(`file_${eventType}`), 100);
+  });
+  watcher.on('error', (err) => {
+    console.error(`Commands file watcher failed: ${err.message}`);
+    logAction('config_watch_failed', { error: err.message });
+  });
+  watcher.unref();
+}
+
+function loadCommands() {
+  if (!activeCommands) {
+    throw new Error("Command config is not loaded");
+  }
+  return structuredClone(activeCommands);
+}
+
+// `change` ({ action, name, requestId, fromVersion }) is recorded with the
+// config version the save creates
+function saveCommands(commands, change = {}) {
+  try {
+    const { errors, warnings } = validateCommands(commands);
+    if (errors.length > 0) {
+      throw new Error(`Invalid command config: ${errors.join('; ')}`);
+    }
+
+    const data = JSON.stringify(commands, null, 2);
+    withFileLock(CONFIG_LOCK_FILE, () => {
+      const tmpFile = `${COMMANDS_FILE}.tmp`;
+      fs.writeFileSync(tmpFile, data);
+      fs.renameSync(tmpFile, COMMANDS_FILE);
+      activeCommands = structuredClone(commands);
+      activeCommandsHash = createHash('sha256').update(data).digest('hex');
+      recordConfigVersion(commands, activeCommandsHash, change);
+    });
+    logAction('config_saved', {
+      requestId: change.requestId,
+      count: commands.length,
+      version: activeConfigVersion ?? undefined,
+      warnings: warnings.length ? warnings : undefined
+    });
+    return true;
+  } catch (err) {
+    logAction('config_save_failed', { error: err.message });
+    return false;
+  }
+}
+
+// ======================
+// Config History
+// ======================
+// Every config the service loads, saves or picks up from disk is kept as a
+// numbered snapshot in CONFIG_HISTORY_DIR with its author and requestId, so
+// manageCommand can list, diff and roll back versions. Snapshots beyond
+// CONFIG_HISTORY_MAX are pruned oldest first.
+let activeConfigVersion = null;
+
+function configVersionPath(version) {
+  return path.join(CONFIG_HISTORY_DIR, `v${String(version).padStart(6, '0')}.json`);
+}
+
+function listConfigVersions() {
+  if (!fs.existsSync(CONFIG_HISTORY_DIR)) return [];
+  return fs.readdirSync(CONFIG_HISTORY_DIR)
+    .map(file => file.match(/^v(\d+)\.json$/))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+function readConfigVersion(version) {
+  const file = configVersionPath(version);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// A config identical to the latest snapshot reuses its version
+function recordConfigVersion(commands, hash, { author, action, name, requestId, fromVersion } = {}) {
+  try {
+    ensureDirectory(CONFIG_HISTORY_DIR);
+    const versions = listConfigVersions();
+    const latest = versions.length > 0 ? readConfigVersion(versions.at(-1)) : null;
+    if (latest?.hash === hash) {
+      activeConfigVersion = latest.version;
+      return;
+    }
+
+    const snapshot = {
+      version: (versions.at(-1) || 0) + 1,
+      savedAt: new Date().toISOString(),
+      author: author || callerContext.getStore()?.id || 'system',
+      requestId,
+      action,
+      name,
+      fromVersion,
+      hash,
+      commands
+    };
+    const file = configVersionPath(snapshot.version);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    activeConfigVersion = snapshot.version;
+
+    for (const version of versions.slice(0, Math.max(0, versions.length + 1 - CONFIG_HISTORY_MAX))) {
+      fs.unlinkSync(configVersionPath(version));
+    }
+  } catch (err) {
+    console.error(`Failed to record config version: ${err.message}`);
+    logAction('config_history_failed', { error: err.message });
+  }
+}
+
+// Returns one entry per command that differs, ignoring the order of entries
+function diffCommandConfigs(before, after) {
+  const changes = [];
+  const names = [...new Set([...before, ...after].map(c => c.name))];
+
+  for (const name of names) {
+    const from = before.find(c => c.name === name);
+    const to = after.find(c => c.name === name);
+    if (!from) {
+      changes.push({ name, change: 'added', entry: to });
+    } else if (!to) {
+      changes.push({ name, change: 'removed', entry: from });
+    } else {
+      const fields = {};
+      for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+        if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) {
+          fields[key] = { from: from[key], to: to[key] };
+        }
+      }
+      if (Object.keys(fields).length > 0) changes.push({ name, change: 'changed', fields });
+    }
+  }
+  return changes;
+}
+
+function formatConfigDiff(changes) {
+  if (changes.length === 0) return 'No differences';
+  return changes.map(({ name, change, entry, fields }) => {
+    if (change !== 'changed') return `${change === 'added' ? '+' : '-'} ${name}: ${JSON.stringify(entry)}`;
+    return `~ ${name}\n` + Object.entries(fields)
+      .map(([key, { from, to }]) => `    ${key}: ${JSON.stringify(from) ?? '(unset)'} -> ${JSON.stringify(to) ?? '(unset)'}`)
+      .join('\n');
+  }).join('\n');
+}
+
+function describeConfigVersion(snapshot) {
+  const change = [snapshot.action, snapshot.name].filter(Boolean).join(' ') || 'unknown change';
+  return `v${snapshot.version} ${snapshot.savedAt} by ${snapshot.author}` +
+         `${snapshot.requestId ? ` (requestId ${snapshot.requestId})` : ''}: ${change}` +
+         `${snapshot.fromVersion ? ` to v${snapshot.fromVersion}` : ''}` +
+         `${snapshot.version === activeConfigVersion ? ' [current]' : ''}`;
+}
+
+// ======================
+// Command Discovery
+// ======================
+// discoverCommands proposes entries for a project directory: its
+// package.json scripts (run with the package manager its lockfile names),
+// its Makefile targets and selected binaries found on PATH. Proposals are
+// only returned; importCommands adds them, disabled until reviewed.
+const DISCOVERY_SOURCES = ["package", "make", "path"];
+const DEFAULT_DISCOVERY_BINARIES = ["git", "node", "npm", "npx", "python3", "make", "docker", "kubectl", "ls", "cat", "grep", "df", "du", "ps", "uname"];
+const MAKEFILE_NAMES = ["GNUmakefile", "makefile", "Makefile"];
+
+// Names or script bodies with these words are proposed as dangerous
+const DANGEROUS_NAME_PATTERN = /\b(rm|rmdir|del|format|mkfs|dd|shred|wipe|kill|reboot|shutdown|push|deploy|publish|release|destroy|drop|delete|purge|truncate)\b/i;
+
+const PACKAGE_MANAGER_LOCKFILES = [
+  ["pnpm-lock.yaml", "pnpm"],
+  ["yarn.lock", "yarn"],
+  ["bun.lockb", "bun"]
+];
+
+function proposeCommand({ name, description, example, source, cwd, executable, args, checkText }) {
+  const match = `${name} ${checkText || ''}`.match(DANGEROUS_NAME_PATTERN);
+  const entry = {
+    name: name.slice(0, 50),
+    description,
+    example,
+    dangerous: Boolean(match),
+    enabled: false,
+    confirmationPrompt: match ? `Run ${name}? It matched "${match[1]}".` : "",
+    consequences: match ? `Matched "${match[1]}": may delete data or change remote systems` : "",
+    tags: ["discovered", source]
+  };
+  if (cwd) entry.cwd = cwd;
+  if (executable) entry.platforms = { default: { executable, ...(args ? { args } : {}) } };
+  return entry;
+}
+
+function discoverPackageScripts(directory) {
+  const file = path.join(directory, "package.json");
+  if (!fs.existsSync(file)) return [];
+  const scripts = JSON.parse(fs.readFileSync(file, 'utf8')).scripts || {};
+  const manager = PACKAGE_MANAGER_LOCKFILES.find(([lockfile]) => fs.existsSync(path.join(directory, lockfile)))?.[1] || "npm";
+
+  return Object.entries(scripts)
+    .filter(([, body]) => typeof body === 'string')
+    .map(([script, body]) => proposeCommand({
+      name: `${manager}-${script}`.replace(/\s+/g, '-'),
+      description: `Runs the package.json script "${script}" in ${directory}: ${body}`,
+      example: `${manager} run ${script}`,
+      source: "package",
+      cwd: directory,
+      executable: manager,
+      args: ["run", script],
+      checkText: body
+    }));
+}
+
+// Rule lines "target [target...]: [prerequisites] [## help]"; variable
+// assignments, pattern rules and special targets such as .PHONY are skipped.
+// The tab-indented recipe lines below a rule are checked for dangerous
+// words along with the target name, as package.json script bodies are.
+function discoverMakeTargets(directory) {
+  const file = MAKEFILE_NAMES.map(name => path.join(directory, name)).find(candidate => fs.existsSync(candidate));
+  if (!file) return [];
+
+  const targets = new Map();
+  let current = [];
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    if (line.startsWith('\t')) {
+      current.forEach(target => target.recipe.push(line.trim()));
+      continue;
+    }
+    const rule = line.match(/^([A-Za-z0-9][^:=#\s]*(?:\s+[A-Za-z0-9][^:=#\s]*)*)\s*::?(?![:=])([^#]*?)(?:##\s*(.*))?$/);
+    if (!rule) {
+      // Any other line but a blank or comment ends the recipe
+      if (line.trim() && !line.trim().startsWith('#')) current = [];
+      continue;
+    }
+    // "target: prerequisites ; recipe" puts the first recipe line inline
+    const inlineRecipe = rule[2].split(';').slice(1).join(';').trim();
+    current = [];
+    for (const name of rule[1].split(/\s+/)) {
+      if (name.includes('%')) continue;
+      if (!targets.has(name)) targets.set(name, { help: rule[3]?.trim(), recipe: [] });
+      const target = targets.get(name);
+      if (inlineRecipe) target.recipe.push(inlineRecipe);
+      current.push(target);
+    }
+  }
+
+  return [...targets].map(([name, { help, recipe }]) => proposeCommand({
+    name: `make-${name}`,
+    description: help || `Runs make target "${name}" in ${directory}`,
+    example: `make ${name}`,
+    source: "make",
+    cwd: directory,
+    executable: "make",
+    args: [name],
+    checkText: recipe.join('\n')
+  }));
+}
+
+function discoverBinaries(binaries) {
+  return binaries
+    .map(binary => ({ binary, location: findExecutable(binary) }))
+    .filter(({ location }) => location)
+    .map(({ binary, location }) => proposeCommand({
+      name: binary,
+      description: `Runs ${location} (add an argSchema to allow arguments)`,
+      example: binary,
+      source: "path"
+    }));
+}
+
+// Discovery reads project files and returns script bodies, so it follows
+// the working directory policy: only directories commands may already run
+// in, i.e. the service's working directory and each command's `cwd` and
+// allowedCwdRoots, resolved through symlinks
+function getDiscoveryRoots(commands) {
+  const roots = [process.cwd(), ...commands.flatMap(c => [c.cwd, ...(c.allowedCwdRoots || [])])].filter(Boolean);
+  return [...new Set(roots.map(root => {
+    try {
+      return fs.realpathSync(path.resolve(root));
+    } catch (err) {
+      return null;
+    }
+  }).filter(Boolean))];
+}
+
+// Returns { proposals, errors }; each source fails on its own
+function discoverCommands(directory, sources, binaries) {
+  const proposals = [];
+  const errors = [];
+  const scanners = {
+    package: () => discoverPackageScripts(directory),
+    make: () => discoverMakeTargets(directory),
+    path: () => discoverBinaries(binaries)
+  };
+  for (const source of sources) {
+    try {
+      proposals.push(...scanners[source]());
+    } catch (err) {
+      errors.push(`${source}: ${err.message}`);
+    }
+  }
+  return { proposals, errors };
+}
+
+// ======================
+// Argument Validation
+// ======================
+// Commands run without a shell, so every argv entry must be allowed by the
+// command's argSchema. Commands without a schema accept no arguments.
+const ARG_TYPES = ["string", "integer", "number", "path", "hostname"];
+
+const argValueChecks = {
+  string: () => true,
+  integer: (value) => /^-?\d+$/.test(value),
+  number: (value) => value.trim() !== '' && Number.isFinite(Number(value)),
+  path: (value) => value.length > 0,
+  hostname: (value) => /^[A-Za-z0-9]([A-Za-z0-9.-]{0,252})$/.test(value) || /^[0-9A-Fa-f:]+$/.test(value)
+};
+
+const argValueSpec = {
+  type: z.enum(ARG_TYPES).optional(),
+  pattern: z.string().optional(),
+  enum: z.array(z.string()).optional()
+};
+
+const argSchemaSpec = z.object({
+  flags: z.array(z.object({
+    name: z.string().min(1),
+    takesValue: z.boolean().optional(),
+    ...argValueSpec
+  })).optional(),
+  positionals: z.array(z.object({
+    name: z.string().min(1),
+    required: z.boolean().optional(),
+    variadic: z.boolean().optional(),
+    ...argValueSpec
+  })).optional(),
+  maxArgs: z.number().int().nonnegative().optional()
+});
+
+function tokenizeArgs(input) {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let quote = null;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      } else if (ch === '\\' && quote === '"' && (input[i + 1] === '"' || input[i + 1] === '\\')) {
+        current += input[++i];
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      inToken = true;
+    } else if (/\s/.test(ch)) {
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+    } else {
+      current += ch;
+      inToken = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in arguments`);
+  }
+  if (inToken) tokens.push(current);
+  return tokens;
+}
+
+function checkArgValue(spec, value, label) {
+  if (value.includes('\0')) {
+    return `${label} contains a null byte`;
+  }
+  const type = spec.type || "string";
+  const check = argValueChecks[type];
+  if (!check) {
+    return `${label} has unknown type "${type}" in command config`;
+  }
+  if (!check(value)) {
+    return `${label} must be a valid ${type}, got "${value}"`;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `${label} must be one of: ${spec.enum.join(', ')}`;
+  }
+  if (spec.pattern) {
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${spec.pattern})$`);
+    } catch (err) {
+      return `${label} has an invalid pattern in command config: ${err.message}`;
+    }
+    if (!regex.test(value)) {
+      return `${label} does not match pattern ${spec.pattern}`;
+    }
+  }
+  return null;
+}
+
+// Returns { argv, values } on success or { error } describing the first
+// violation; values maps argument names to what the caller passed
+function validateArgs(cmdConfig, rawArgs) {
+  let tokens;
+  try {
+    tokens = Array.isArray(rawArgs) ? rawArgs : tokenizeArgs(rawArgs || '');
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  const schema = cmdConfig.argSchema;
+  if (!schema) {
+    return tokens.length === 0
+      ? { argv: [] }
+      : { error: `Command "${cmdConfig.name}" does not accept arguments (no argSchema defined)` };
+  }
+
+  if (schema.maxArgs !== undefined && tokens.length > schema.maxArgs) {
+    return { error: `Too many arguments: ${tokens.length} given, at most ${schema.maxArgs} allowed` };
+  }
+
+  const flags = schema.flags || [];
+  const positionals = schema.positionals || [];
+  const argv = [];
+  const values = {};
+  const filled = new Set();
+  let positionalIndex = 0;
+  let flagsEnded = false;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (!flagsEnded && token === '--') {
+      flagsEnded = true;
+      argv.push(token);
+      continue;
+    }
+
+    // Declared flags may use any prefix (e.g. "/w"); any other token starting
+    // with "-" is treated as an undeclared flag and rejected
+    if (!flagsEnded && (token.startsWith('-') || flags.some(f => f.name === token))) {
+      const eqIndex = token.startsWith('--') ? token.indexOf('=') : -1;
+      const flagName = eqIndex > 0 ? token.slice(0, eqIndex) : token;
+      const flag = flags.find(f => f.name === flagName);
+
+      if (!flag) {
+        return { error: `Flag "${flagName}" is not allowed` };
+      }
+
+      if (!flag.takesValue) {
+        if (eqIndex > 0) {
+          return { error: `Flag "${flagName}" does not take a value` };
+        }
+        argv.push(token);
+        values[argValueName(flag)] = token;
+        continue;
+      }
+
+      let value;
+      if (eqIndex > 0) {
+        value = token.slice(eqIndex + 1);
+        argv.push(token);
+      } else {
+        if (i + 1 >= tokens.length) {
+          return { error: `Flag "${flagName}" requires a value` };
+        }
+        value = tokens[++i];
+        argv.push(token, value);
+      }
+
+      const valueError = checkArgValue(flag, value, `Value of flag "${flagName}"`);
+      if (valueError) return { error: valueError };
+      values[argValueName(flag)] = value;
+      continue;
+    }
+
+    const spec = positionals[positionalIndex];
+    if (!spec) {
+      return { error: `Unexpected argument "${token}"` };
+    }
+
+    const valueError = checkArgValue(spec, token, `Argument "${spec.name}"`);
+    if (valueError) return { error: valueError };
+
+    argv.push(token);
+    if (spec.variadic) {
+      (values[spec.name] ||= []).push(token);
+    } else {
+      values[spec.name] = token;
+    }
+    filled.add(positionalIndex);
+    if (!spec.variadic) positionalIndex++;
+  }
+
+  const missing = positionals.find((spec, index) => spec.required && !filled.has(index));
+  if (missing) {
+    return { error: `Missing required argument "${missing.name}"` };
+  }
+
+  return { argv, values };
+}
+
+// Name a flag's value is known by in pipeline templates: "--target" -> "target"
+function argValueName(spec) {
+  return spec.name.replace(/^[-/]+/, '');
+}
+
+function describeArgSchema(schema) {
+  if (!schema) return 'none';
+  const describeValue = (spec) => spec.enum ? spec.enum.join('|') : (spec.type || 'string');
+  const parts = [
+    ...(schema.flags || []).map(f => `[${f.name}${f.takesValue ? ` <${describeValue(f)}>` : ''}]`),
+    ...(schema.positionals || []).map(p => {
+      const label = `${p.name}:${describeValue(p)}${p.variadic ? '...' : ''}`;
+      return p.required ? `<${label}>` : `[${label}]`;
+    })
+  ];
+  if (schema.maxArgs !== undefined) parts.push(`(max ${schema.maxArgs} args)`);
+  return parts.join(' ') || 'none';
+}
+
+function formatCommandLine(command, argv) {
+  return [command, ...argv]
+    .map(part => (part === '' || /[\s"'\\]/.test(part)) ? JSON.stringify(part) : part)
+    .join(' ');
+}
+
+// ======================
+// Platform Variants
+// ======================
+// `platforms` maps one logical command to an executable per host, keyed by
+// process.platform values or "default". A variant's `args` template (same
+// {{name}} syntax as pipeline steps) builds the argv from the validated
+// arguments; without one they are passed on unchanged. An entry without a
+// variant for this host cannot run here.
+const PLATFORM_KEYS = ["aix", "android", "darwin", "freebsd", "linux", "openbsd", "sunos", "win32", "default"];
+
+const platformVariantSpec = z.object({
+  executable: z.string().min(1),
+  args: z.array(z.string()).optional()
+});
+
+function getPlatformVariant(cmdConfig) {
+  if (!cmdConfig.platforms) return { executable: cmdConfig.name };
+  return cmdConfig.platforms[process.platform] || cmdConfig.platforms.default || null;
+}
+
+function isAvailableOnHost(cmdConfig) {
+  return getPlatformVariant(cmdConfig) !== null;
+}
+
+// Returns { executable, argv } for this host or { error }
+function resolveInvocation(cmdConfig, argv, values) {
+  const variant = getPlatformVariant(cmdConfig);
+  if (!variant) {
+    return {
+      error: `Command "${cmdConfig.name}" is not available on ${process.platform} ` +
+             `(defined for ${Object.keys(cmdConfig.platforms).join(', ')})`
+    };
+  }
+  return { executable: variant.executable, argv: variant.args ? expandArgTemplates(variant.args, values) : argv };
+}
+
+function describePlatforms(cmdConfig) {
+  return Object.entries(cmdConfig.platforms)
+    .map(([platform, variant]) => `${platform}: ${formatCommandLine(variant.executable, variant.args || [])}`)
+    .join('; ');
+}
+
+// ======================
+// Working Directory and Environment
+// ======================
+// A command runs in its configured `cwd` (or the server's working
+// directory). Callers may pick another directory only inside the command's
+// allowedCwdRoots, checked after resolving symlinks. The environment is
+// built from an allowlist of inherited variables, fixed `set` values and
+// per-call overrides limited to `allowOverrides`.
+const envPolicySpec = z.object({
+  inherit: z.array(z.string()).optional(),
+  set: z.record(z.string()).optional(),
+  allowOverrides: z.array(z.string()).optional()
+});
+
+function isInsideDirectory(target, root) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Returns { cwd } (undefined keeps the server's directory) or { error }
+function resolveWorkingDirectory(cmdConfig, requested) {
+  if (requested === undefined && !cmdConfig.cwd) {
+    return { cwd: undefined };
+  }
+
+  const roots = cmdConfig.allowedCwdRoots || [];
+  if (requested !== undefined && roots.length === 0) {
+    return { error: `Command "${cmdConfig.name}" does not accept a working directory (no allowedCwdRoots configured)` };
+  }
+
+  const base = cmdConfig.cwd || roots[0];
+  const target = path.resolve(base, requested ?? '.');
+  let realTarget;
+  try {
+    realTarget = fs.realpathSync(target);
+  } catch (err) {
+    return { error: `Working directory "${requested ?? cmdConfig.cwd}" does not exist` };
+  }
+  if (!fs.statSync(realTarget).isDirectory()) {
+    return { error: `Working directory "${requested ?? cmdConfig.cwd}" is not a directory` };
+  }
+
+  if (requested !== undefined) {
+    const allowed = roots.some(root => {
+      try {
+        return isInsideDirectory(realTarget, fs.realpathSync(path.resolve(root)));
+      } catch (err) {
+        return false;
+      }
+    });
+    if (!allowed) {
+      return { error: `Working directory "${requested}" resolves to ${realTarget}, outside the allowed roots` };
+    }
+  }
+
+  return { cwd: realTarget };
+}
+
+// Returns { env, explicitNames } or { error }. explicitNames are the
+// variables the command asked for itself: `set`, a configured `inherit`
+// list and the overrides, without the --env-inherit defaults
+function buildCommandEnv(cmdConfig, overrides = {}) {
+  const policy = cmdConfig.env || {};
+  const inherit = policy.inherit || DEFAULT_ENV_INHERIT;
+  const allowedOverrides = policy.allowOverrides || [];
+
+  const rejected = Object.keys(overrides).filter(key => !allowedOverrides.includes(key));
+  if (rejected.length > 0) {
+    return { error: `Environment variable${rejected.length === 1 ? '' : 's'} not allowed for "${cmdConfig.name}": ${rejected.join(', ')}` };
+  }
+  const invalid = Object.keys(overrides).find(key => overrides[key].includes('\0'));
+  if (invalid) {
+    return { error: `Environment variable ${invalid} contains a null byte` };
+  }
+
+  const env = {};
+  if (inherit.includes('*')) {
+    Object.assign(env, process.env);
+  } else {
+    for (const name of inherit) {
+      if (process.env[name] !== undefined) env[name] = process.env[name];
+    }
+  }
+  Object.assign(env, policy.set || {}, overrides);
+
+  const explicit = new Set([...Object.keys(policy.set || {}), ...Object.keys(overrides)]);
+  for (const name of policy.inherit || []) {
+    if (name === '*') Object.keys(process.env).forEach(key => explicit.add(key));
+    else if (env[name] !== undefined) explicit.add(name);
+  }
+  return { env, explicitNames: [...explicit] };
+}
+
+// ======================
+// Standard Input
+// ======================
+// stdin is closed for every command unless its `stdin` policy says otherwise:
+// - accept: the execute `stdin` parameter may be sent, up to `maxBytes`
+// - mode "prompts": stdin stays open and output matching a prompt pattern is
+//   answered with its response and a newline
+// Only the size and SHA-256 of supplied input are logged.
+const PROMPT_WINDOW_CHARS = 1024;
+const MAX_PROMPT_ANSWERS = 20;
+
+const stdinSpec = z.object({
+  accept: z.boolean().optional(),
+  maxBytes: z.number().int().positive().optional(),
+  mode: z.enum(["close", "prompts"]).optional(),
+  prompts: z.array(z.object({
+    pattern: z.string().min(1),
+    response: z.string()
+  }).strict()).optional()
+});
+
+// Config-time checks of a stdin policy; returns error strings
+function validateStdinPolicy(policy) {
+  const errors = [];
+  if (policy.mode === "prompts" && !policy.prompts?.length) {
+    errors.push('stdin.prompts is required for mode "prompts"');
+  }
+  for (const prompt of policy.prompts || []) {
+    if (typeof prompt?.pattern !== 'string') continue;
+    try {
+      new RegExp(prompt.pattern);
+    } catch (err) {
+      errors.push(`stdin prompt pattern ${JSON.stringify(prompt.pattern)} is invalid: ${err.message}`);
+    }
+  }
+  return errors;
+}
+
+// Returns { stdin } with the input, its size and digest (null when none was
+// given), or { error }
+function checkStdinInput(cmdConfig, input) {
+  if (input === undefined) return { stdin: null };
+  if (cmdConfig.steps) return { error: 'Pipelines do not accept stdin' };
+  if (!cmdConfig.stdin?.accept) {
+    return { error: `Command "${cmdConfig.name}" does not accept stdin (no stdin.accept in its config)` };
+  }
+  const bytes = Buffer.byteLength(input);
+  const maxBytes = cmdConfig.stdin.maxBytes ?? DEFAULT_MAX_STDIN_BYTES;
+  if (bytes > maxBytes) {
+    return { error: `stdin is ${bytes} bytes, the limit for "${cmdConfig.name}" is ${maxBytes}` };
+  }
+  return { stdin: { text: input, bytes, sha256: createHash('sha256').update(input).digest('hex') } };
+}
+
+// spawnCommand options for a command's stdin policy and supplied input
+function resolveStdinOptions(cmdConfig, stdin) {
+  const prompts = cmdConfig.stdin?.mode === "prompts"
+    ? cmdConfig.stdin.prompts.map(prompt => ({ pattern: new RegExp(prompt.pattern), response: prompt.response }))
+    : undefined;
+  return { input: stdin?.text, prompts };
+}
+
+// ======================
+// Sandboxes
+// ======================
+// A command's `sandbox` picks the backend that runs it:
+// - direct: as the service user, the only isolation being the allowlist
+// - user: as a dedicated low-privilege uid/gid (the service must be root)
+// - bubblewrap: under bwrap with the whole filesystem bound read-only,
+//   `writablePaths` bound read-write and no network unless `network` is set
+// - unshare: in new user, pid, mount and network namespaces; this isolates
+//   processes and the network only, the filesystem stays as writable as it
+//   is for the mapped user, so `writablePaths` is rejected
+// - container: in a throwaway docker or podman container from `image`
+// Resource limits go through prlimit, or the container runtime's own flags.
+// A pids limit needs the container's pid cgroup: prlimit's RLIMIT_NPROC
+// counts every process of the uid, not those of the sandbox.
+const SANDBOX_BACKENDS = ["direct", "user", "bubblewrap", "unshare", "container"];
+
+const sandboxSpec = z.object({
+  backend: z.enum(SANDBOX_BACKENDS),
+  user: z.string().min(1).optional(),
+  uid: z.number().int().nonnegative().optional(),
+  gid: z.number().int().nonnegative().optional(),
+  network: z.boolean().optional(),
+  writablePaths: z.array(z.string().min(1)).optional(),
+  image: z.string().min(1).optional(),
+  runtime: z.enum(["docker", "podman"]).optional(),
+  limits: z.object({
+    cpuSeconds: z.number().int().positive().optional(),
+    cpus: z.number().positive().optional(),
+    memoryMb: z.number().int().positive().optional(),
+    pids: z.number().int().positive().optional()
+  }).strict().optional()
+});
+
+// Config-time checks between sandbox settings; returns error strings
+function validateSandbox(sandbox) {
+  const errors = [];
+  if (sandbox.backend === "container" && !sandbox.image) {
+    errors.push('sandbox.image is required for the container backend');
+  }
+  if (sandbox.backend !== "container" && sandbox.limits?.cpus !== undefined) {
+    errors.push('sandbox.limits.cpus is only supported by the container backend, use cpuSeconds');
+  }
+  if (sandbox.backend !== "container" && sandbox.limits?.pids !== undefined) {
+    errors.push('sandbox.limits.pids is only supported by the container backend');
+  }
+  if (sandbox.writablePaths && !["bubblewrap", "container"].includes(sandbox.backend)) {
+    errors.push('sandbox.writablePaths is only supported by the bubblewrap and container backends');
+  }
+  if (sandbox.backend === "user" && !sandbox.user && sandbox.uid === undefined) {
+    errors.push('sandbox.user or sandbox.uid is required for the user backend');
+  }
+  return errors;
+}
+
+function resolveSandbox(cmdConfig) {
+  return cmdConfig.sandbox || { backend: DEFAULT_SANDBOX, user: DEFAULT_SANDBOX_USER };
+}
+
+function findExecutable(name) {
+  const candidates = name.includes('/')
+    ? [name]
+    : (process.env.PATH || '').split(path.delimiter).map(dir => path.join(dir, name));
+  return candidates.find(candidate => {
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }) || null;
+}
+
+function lookupUserIds(user) {
+  const id = (flag) => Number(execFileSync('id', [flag, user], { encoding: 'utf8' }).trim());
+  return { uid: id('-u'), gid: id('-g') };
+}
+
+function prlimitArgs(limits = {}) {
+  const limitArgs = [];
+  if (limits.cpuSeconds) limitArgs.push(`--cpu=${limits.cpuSeconds}`);
+  if (limits.memoryMb) limitArgs.push(`--as=${limits.memoryMb * 1024 * 1024}`);
+  return limitArgs;
+}
+
+// Returns { backend, command, argv, spawnOptions } wrapping the executable
+// in its sandbox, or { error }
+function buildSandboxInvocation(cmdConfig, executable, argv, { cwd, env, explicitNames = [] }) {
+  const sandbox = resolveSandbox(cmdConfig);
+  const { backend, limits = {} } = sandbox;
+  const workDir = cwd || process.cwd();
+  const writablePaths = sandbox.writablePaths || [];
+  const spawnOptions = { cwd, env };
+  let command = executable;
+  let commandArgs = argv;
+
+  if (backend !== "direct" && process.platform !== "linux") {
+    return { error: `Sandbox backend "${backend}" is not supported on ${process.platform}` };
+  }
+
+  switch (backend) {
+    case "user":
+      if (process.getuid() !== 0) {
+        return { error: `Sandbox backend "user" needs the service to run as root` };
+      }
+      try {
+        Object.assign(spawnOptions, sandbox.uid !== undefined
+          ? { uid: sandbox.uid, gid: sandbox.gid ?? sandbox.uid }
+          : lookupUserIds(sandbox.user));
+      } catch (err) {
+        return { error: `Unknown sandbox user "${sandbox.user}"` };
+      }
+      break;
+
+    case "bubblewrap":
+      command = "bwrap";
+      commandArgs = [
+        "--ro-bind", "/", "/",
+        "--dev", "/dev",
+        "--proc", "/proc",
+        "--tmpfs", "/tmp",
+        ...writablePaths.flatMap(writable => ["--bind", writable, writable]),
+        "--unshare-all",
+        ...(sandbox.network ? ["--share-net"] : []),
+        "--die-with-parent",
+        "--new-session",
+        "--chdir", workDir,
+        "--", executable, ...argv
+      ];
+      break;
+
+    case "unshare":
+      command = "unshare";
+      commandArgs = [
+        "--user", "--map-root-user", "--pid", "--fork", "--mount", "--mount-proc",
+        ...(sandbox.network ? [] : ["--net"]),
+        "--", executable, ...argv
+      ];
+      break;
+
+    case "container":
+      // `-e NAME` takes the value from the runtime client's environment,
+      // so values do not show up in the process list. Only the command's
+      // explicit variables go in; inherited host defaults such as PATH and
+      // HOME would replace the image's own.
+      command = sandbox.runtime || "docker";
+      // Named so a timeout or cancellation can stop the container itself;
+      // killing the runtime client would leave it running
+      spawnOptions.container = { runtime: command, name: `cmd-exec-${randomBytes(6).toString('hex')}` };
+      commandArgs = [
+        "run", "--rm", "--init", "--name", spawnOptions.container.name,
+        // Attaches stdin for commands that take input or answer prompts
+        ...(cmdConfig.stdin?.accept || cmdConfig.stdin?.mode === "prompts" ? ["-i"] : []),
+        "--network", sandbox.network ? "bridge" : "none",
+        "--read-only", "--tmpfs", "/tmp",
+        ...(writablePaths.includes(workDir) ? [] : ["-v", `${workDir}:${workDir}:ro`]),
+        ...writablePaths.flatMap(writable => ["-v", `${writable}:${writable}`]),
+        "-w", workDir,
+        ...explicitNames.flatMap(name => ["-e", name]),
+        ...(limits.cpus ? ["--cpus", String(limits.cpus)] : []),
+        ...(limits.memoryMb ? ["--memory", `${limits.memoryMb}m`] : []),
+        ...(limits.pids ? ["--pids-limit", String(limits.pids)] : []),
+        ...(limits.cpuSeconds ? ["--ulimit", `cpu=${limits.cpuSeconds}`] : []),
+        sandbox.image, executable, ...argv
+      ];
+      spawnOptions.env = { ...process.env, ...env };
+      break;
+  }
+
+  if (backend !== "container") {
+    const limitArgs = prlimitArgs(limits);
+    if (limitArgs.length > 0) {
+      commandArgs = [...limitArgs, "--", command, ...commandArgs];
+      command = "prlimit";
+    }
+  }
+
+  if (command !== executable && !findExecutable(command)) {
+    return { error: `Sandbox backend "${backend}" needs ${command}, which was not found in PATH` };
+  }
+  return { backend, command, argv: commandArgs, spawnOptions };
+}
+
+// ======================
+// Redaction
+// ======================
+// Output returned by execute and jobs, and the `command` of every log entry,
+// pass through detectors that replace secrets with [REDACTED:<detector>].
+// A command's `redact` picks the built-in detectors (all by default) and adds
+// its own regexes; a named group `secret` limits the replacement to that part.
+const REDACTION_DETECTORS = ["aws", "bearer", "privateKey", "entropy"];
+const ENTROPY_MIN_LENGTH = 24;
+const ENTROPY_MIN_BITS = 4;
+
+const redactSpec = z.object({
+  detectors: z.array(z.enum(REDACTION_DETECTORS)).optional(),
+  patterns: z.array(z.string().min(1)).optional()
+});
+
+const BUILTIN_REDACTIONS = [
+  { name: "aws", pattern: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g },
+  { name: "aws", pattern: /\baws_(?:secret_access_key|session_token)["']?\s*[=:]\s*["']?(?<secret>[A-Za-z0-9/+=]{16,})/gi },
+  { name: "bearer", pattern: /\bBearer\s+(?<secret>[A-Za-z0-9\-._~+/]{8,}=*)/gi },
+  { name: "bearer", pattern: /\bAuthorization:\s*Basic\s+(?<secret>[A-Za-z0-9+/]{8,}=*)/gi },
+  { name: "privateKey", pattern: /-----BEGIN ([A-Z0-9 ]*)PRIVATE KEY-----[\s\S]*?(?:-----END \1PRIVATE KEY-----|$)/g },
+  // Base64-like runs mixing upper case, lower case and digits; hex digests
+  // and ordinary identifiers stay below the entropy threshold or lack a class
+  {
+    name: "entropy",
+    pattern: /[A-Za-z0-9+_-]{24,}={0,2}/g,
+    test: value => /[A-Z]/.test(value) && /[a-z]/.test(value) && /[0-9]/.test(value) &&
+      shannonEntropy(value) >= ENTROPY_MIN_BITS
+  }
+];
+
+const compiledRedactions = new WeakMap();
+
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  let bits = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Redaction rules for one command, or the merge of a pipeline and its
+// steps: the union of their detectors and all their patterns
+function getRedactionRules(...cmdConfigs) {
+  const rules = cmdConfigs.map(cmdConfig => {
+    if (!compiledRedactions.has(cmdConfig)) {
+      const detectors = cmdConfig.redact?.detectors ?? REDACTION_DETECTORS;
+      compiledRedactions.set(cmdConfig, [
+        ...BUILTIN_REDACTIONS.filter(rule => detectors.includes(rule.name)),
+        ...(cmdConfig.redact?.patterns || []).map(source => ({ name: "custom", pattern: new RegExp(source, 'g') }))
+      ]);
+    }
+    return compiledRedactions.get(cmdConfig);
+  });
+  return [...new Set(rules.flat())];
+}
+
+// Log lines get every built-in detector plus the patterns of all commands,
+// since an entry's command line is not always tied to one entry
+let logRedactionRules = { commands: null, rules: BUILTIN_REDACTIONS };
+
+function getLogRedactionRules() {
+  if (activeCommands && logRedactionRules.commands !== activeCommands) {
+    logRedactionRules = {
+      commands: activeCommands,
+      rules: [...BUILTIN_REDACTIONS, ...getRedactionRules(...activeCommands).filter(rule => rule.name === "custom")]
+    };
+  }
+  return logRedactionRules.rules;
+}
+
+// Returns { text, count }
+function redactText(text, rules) {
+  if (!text) return { text, count: 0 };
+  let count = 0;
+  for (const rule of rules) {
+    text = text.replace(rule.pattern, (match, ...rest) => {
+      const groups = typeof rest[rest.length - 1] === 'object' ? rest[rest.length - 1] : undefined;
+      if (!match || (rule.test && !rule.test(match))) return match;
+      count++;
+      const marker = `[REDACTED:${rule.name}]`;
+      if (!groups?.secret) return marker;
+      const index = match.lastIndexOf(groups.secret);
+      return match.slice(0, index) + marker + match.slice(index + groups.secret.length);
+    });
+  }
+  return { text, count };
+}
+
+// Job output is redacted as it arrives, so the buffer that jobOutput and
+// job:// read from never holds a secret, whatever slice is asked for. Only
+// complete lines are released, and an unterminated private key block waits
+// for its END line; past REDACTION_HOLD_CHARS the held text is released.
+const REDACTION_HOLD_CHARS = 64 * 1024;
+const PRIVATE_KEY_BEGIN = /-----BEGIN ([A-Z0-9 ]*)PRIVATE KEY-----/g;
+
+function findOpenPrivateKey(text) {
+  for (const match of text.matchAll(PRIVATE_KEY_BEGIN)) {
+    if (!text.includes(`-----END ${match[1]}PRIVATE KEY-----`, match.index)) return match.index;
+  }
+  return -1;
+}
+
+function createStreamRedactor(rules) {
+  const decoder = new StringDecoder('utf8');
+  const holdKeys = rules.some(rule => rule.name === "privateKey");
+  let pending = '';
+  let count = 0;
+
+  const release = (text) => {
+    const redacted = redactText(text, rules);
+    count += redacted.count;
+    return Buffer.from(redacted.text);
+  };
+
+  return {
+    write(chunk) {
+      pending += decoder.write(chunk);
+      let cut = pending.lastIndexOf('\n') + 1;
+      const keyStart = holdKeys ? findOpenPrivateKey(pending) : -1;
+      if (keyStart !== -1) cut = Math.min(cut, keyStart);
+      if (pending.length > REDACTION_HOLD_CHARS) cut = pending.length;
+      const text = pending.slice(0, cut);
+      pending = pending.slice(cut);
+      return release(text);
+    },
+    end() {
+      const text = pending + decoder.end();
+      pending = '';
+      return release(text);
+    },
+    count() {
+      return count;
+    }
+  };
+}
+
+// ======================
+// Pipelines
+// ======================
+// A pipeline entry has `steps` instead of a binary: a fixed sequence of
+// other whitelisted commands. Step arguments are templates in which
+// "{{name}}" stands for the pipeline argument of that name; expanded steps
+// are still checked against their own command's argSchema. The pipeline
+// stops at the first failing step unless the step sets continueOnFailure.
+const pipelineStepSpec = z.object({
+  command: z.string().min(1),
+  args: z.array(z.string()).optional(),
+  continueOnFailure: z.boolean().optional()
+});
+
+const TEMPLATE_PATTERN = /\{\{([^{}]+)\}\}/g;
+
+// Names used in {{name}} templates that the argSchema does not declare
+function findUnknownTemplateNames(templates, argSchema) {
+  const argNames = [...(argSchema?.flags || []), ...(argSchema?.positionals || [])].map(argValueName);
+  return (Array.isArray(templates) ? templates : [])
+    .flatMap(template => [...String(template).matchAll(TEMPLATE_PATTERN)].map(match => match[1].trim()))
+    .filter(name => !argNames.includes(name));
+}
+
+// Config-time checks that need the whole command list; returns error strings
+function validatePipelineSteps(entry, commands) {
+  const errors = [];
+
+  entry.steps.forEach((step, index) => {
+    const target = commands.find(c => c?.name === step?.command);
+    if (!target) {
+      errors.push(`steps.${index}: unknown command "${step?.command}"`);
+    } else if (target.steps) {
+      errors.push(`steps.${index}: "${step.command}" is a pipeline, pipelines cannot be nested`);
+    }
+    for (const name of findUnknownTemplateNames(step?.args, entry.argSchema)) {
+      errors.push(`steps.${index}: template {{${name}}} does not name an argument in argSchema`);
+    }
+  });
+  return errors;
+}
+
+// Also used for platform variants. A template that is exactly "{{name}}"
+// expands to the value as is: nothing when the argument was not given,
+// every value of a variadic argument
+function expandArgTemplates(templates, values) {
+  const argv = [];
+  for (const template of templates) {
+    const whole = template.match(/^\{\{([^{}]+)\}\}$/);
+    if (whole) {
+      argv.push(...[].concat(values[whole[1].trim()] ?? []));
+    } else {
+      argv.push(template.replace(TEMPLATE_PATTERN, (_, name) => [].concat(values[name.trim()] ?? []).join(' ')));
+    }
+  }
+  return argv;
+}
+
+// Resolves every step before anything runs, so a pipeline either starts
+// with all steps allowed or not at all. Returns { steps } or { error }
+function preparePipelineSteps(pipeline, values, { caller, requestedCwd, envOverrides }) {
+  const commands = loadCommands();
+  const steps = [];
+
+  for (const [index, step] of pipeline.steps.entries()) {
+    const label = `Step ${index + 1} (${step.command})`;
+    const cmdConfig = commands.find(c => c.name === step.command);
+    if (!cmdConfig || cmdConfig.steps) {
+      return { error: `${label}: not a runnable command` };
+    }
+    if (!cmdConfig.enabled) {
+      return { error: `${label}: command is disabled` };
+    }
+
+    const permissionError = checkCommandPermission(caller, cmdConfig);
+    if (permissionError) return { error: `${label}: permission denied: ${permissionError}` };
+
+    const { argv: stepArgv, values: stepValues, error: argsError } = validateArgs(cmdConfig, expandArgTemplates(step.args || [], values));
+    if (argsError) return { error: `${label}: invalid arguments: ${argsError}` };
+
+    const { executable, argv, error: platformError } = resolveInvocation(cmdConfig, stepArgv, stepValues);
+    if (platformError) return { error: `${label}: ${platformError}` };
+
+    const { cwd, error: cwdError } = resolveWorkingDirectory(cmdConfig, requestedCwd);
+    if (cwdError) return { error: `${label}: ${cwdError}` };
+
+    const { env, explicitNames, error: envError } = buildCommandEnv(cmdConfig, envOverrides);
+    if (envError) return { error: `${label}: ${envError}` };
+
+    const invocation = buildSandboxInvocation(cmdConfig, executable, argv, { cwd, env, explicitNames });
+    if (invocation.error) return { error: `${label}: ${invocation.error}` };
+
+    steps.push({
+      cmdConfig,
+      invocation,
+      executable,
+      argv,
+      fullCommand: formatCommandLine(executable, argv),
+      cwd,
+      env,
+      continueOnFailure: step.continueOnFailure === true
+    });
+  }
+  return { steps };
+}
+
+async function runPipeline({ cmdConfig: pipeline, fullCommand, steps }, { requestId, signal, envOverrides }) {
+  const startTime = Date.now();
+  const results = [];
+  let failedStep = null;
+  let status = 'success';
+
+  logAction('pipeline_started', { requestId, command: fullCommand, steps: steps.length });
+
+  for (const [index, step] of steps.entries()) {
+    if (signal?.aborted) {
+      status = 'cancelled';
+      break;
+    }
+
+    const stepStart = Date.now();
+    const limits = resolveExecutionLimits(step.cmdConfig);
+    const { invocation } = step;
+    const result = await runCommand(invocation.command, invocation.argv, {
+      ...limits,
+      signal,
+      ...invocation.spawnOptions,
+      ...resolveStdinOptions(step.cmdConfig),
+      redactionRules: getRedactionRules(pipeline, step.cmdConfig)
+    });
+    const executionTime = Date.now() - stepStart;
+    const cwd = step.cwd || process.cwd();
+
+    results.push({ step: index + 1, ...buildExecutionResult(step.fullCommand, result, limits, executionTime, cwd) });
+    logExecutionResult(result, {
+      requestId,
+      fullCommand: step.fullCommand,
+      limits,
+      executionTime,
+      name: step.cmdConfig.name,
+      pipeline: pipeline.name,
+      step: index + 1,
+      redactions: result.redactions || undefined,
+      backend: invocation.backend,
+      cwd,
+      envOverrides: envOverrides ? Object.keys(envOverrides) : undefined
+    });
+
+    if (result.killReason === 'cancelled') {
+      failedStep ??= index + 1;
+      status = 'cancelled';
+      break;
+    }
+    if (result.killReason || result.exitCode !== 0) {
+      failedStep ??= index + 1;
+      status = step.continueOnFailure ? 'partial' : 'failed';
+      if (!step.continueOnFailure) break;
+    }
+  }
+
+  const executionTime = Date.now() - startTime;
+  logAction(status === 'success' || status === 'partial' ? 'pipeline_completed' : 'pipeline_failed', {
+    requestId,
+    command: fullCommand,
+    name: pipeline.name,
+    status,
+    failedStep,
+    stepsRun: results.length,
+    executionTime
+  });
+
+  return {
+    pipeline: pipeline.name,
+    command: fullCommand,
+    status,
+    failedStep,
+    durationMs: executionTime,
+    stepsSkipped: steps.length - results.length,
+    steps: results
+  };
+}
+
+function formatPipelineResult(structured) {
+  const total = structured.steps.length + structured.stepsSkipped;
+  const statusText = {
+    success: 'all steps succeeded',
+    partial: `finished with failures, the first at step ${structured.failedStep}`,
+    failed: `stopped, step ${structured.failedStep} failed`,
+    cancelled: 'cancelled'
+  }[structured.status];
+
+  const sections = [`Pipeline ${structured.command}: ${statusText} (${structured.durationMs}ms)`];
+  for (const step of structured.steps) {
+    sections.push(`[${step.step}/${total}] ${formatExecutionResult(step)}`);
+  }
+  if (structured.stepsSkipped > 0) {
+    sections.push(`${structured.stepsSkipped} step(s) not run`);
+  }
+  return sections.join('\n\n');
+}
+
+// ======================
+// Config Validation
+// ======================
+// Validates commands.json entries. Type errors, missing names, duplicate
+// names and invalid patterns reject the whole file; unknown keys only warn.
+const commandEntrySpec = z.object({
+  name: z.string().min(1).max(50).regex(/^\S+$/, "must not contain whitespace"),
+  description: z.string().optional(),
+  example: z.string().optional(),
+  dangerous: z.boolean().optional(),
+  enabled: z.boolean().optional(),
+  confirmationPrompt: z.string().optional(),
+  consequences: z.string().optional(),
+  argSchema: argSchemaSpec.strict().optional(),
+  timeoutMs: z.number().int().nonnegative().optional(),
+  maxOutputBytes: z.number().int().positive().optional(),
+  truncate: z.enum(["head", "tail"]).optional(),
+  jobTimeoutMs: z.number().int().nonnegative().optional(),
+  maxConcurrentJobs: z.number().int().positive().optional(),
+  cwd: z.string().min(1).optional(),
+  allowedCwdRoots: z.array(z.string().min(1)).optional(),
+  env: envPolicySpec.strict().optional(),
+  confirmation: z.enum(["token", "approval"]).optional(),
+  callsPerMinute: z.number().int().nonnegative().optional(),
+  maxConcurrent: z.number().int().nonnegative().optional(),
+  tags: z.array(z.string().min(1).regex(/^\S+$/, "must not contain whitespace")).optional(),
+  steps: z.array(pipelineStepSpec.strict()).min(1).optional(),
+  platforms: z.record(z.enum(PLATFORM_KEYS), platformVariantSpec.strict()).optional(),
+  sandbox: sandboxSpec.strict().optional(),
+  redact: redactSpec.strict().optional(),
+  stdin: stdinSpec.strict().optional()
+}).passthrough();
+
+const KNOWN_COMMAND_KEYS = Object.keys(commandEntrySpec.shape);
+
+function describeIssueValue(entry, issuePath) {
+  const value = issuePath.reduce((current, key) => current?.[key], entry);
+  return value === undefined ? '' : ` (got ${typeof value} ${JSON.stringify(value)})`;
+}
+
+// Returns { commands, errors, warnings }
+function validateCommands(data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Array.isArray(data)) {
+    return { commands: [], errors: ["Command config must be a JSON array of command entries"], warnings };
+  }
+
+  const seenNames = new Map();
+  data.forEach((entry, index) => {
+    const label = `commands[${index}]${typeof entry?.name === 'string' ? ` "${entry.name}"` : ''}`;
+
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    const result = commandEntrySpec.safeParse(entry);
+    if (!result.success) {
+      for (const issue of result.error.issues) {
+        const field = issue.path.join('.') || '(entry)';
+        const message = issue.code === 'invalid_type' && issue.received === 'undefined'
+          ? 'is required'
+          : issue.message.charAt(0).toLowerCase() + issue.message.slice(1);
+        errors.push(`${label}: ${field}: ${message}${describeIssueValue(entry, issue.path)}`);
+      }
+    }
+
+    if (typeof entry.name === 'string') {
+      if (seenNames.has(entry.name)) {
+        errors.push(`${label}: duplicate name, already defined by commands[${seenNames.get(entry.name)}]`);
+      } else {
+        seenNames.set(entry.name, index);
+      }
+    }
+
+    const specs = [...(entry.argSchema?.flags || []), ...(entry.argSchema?.positionals || [])];
+    for (const spec of specs) {
+      if (typeof spec?.pattern !== 'string') continue;
+      try {
+        new RegExp(spec.pattern);
+      } catch (err) {
+        errors.push(`${label}: argSchema pattern for "${spec.name}" is invalid: ${err.message}`);
+      }
+    }
+
+    for (const source of Array.isArray(entry.redact?.patterns) ? entry.redact.patterns : []) {
+      try {
+        new RegExp(source, 'g');
+      } catch (err) {
+        errors.push(`${label}: redact pattern ${JSON.stringify(source)} is invalid: ${err.message}`);
+      }
+    }
+
+    if (Array.isArray(entry.steps)) {
+      errors.push(...validatePipelineSteps(entry, data).map(error => `${label}: ${error}`));
+      if (entry.platforms) errors.push(`${label}: a pipeline cannot have platforms`);
+    }
+
+    if (entry.sandbox?.backend) {
+      errors.push(...validateSandbox(entry.sandbox).map(error => `${label}: ${error}`));
+    }
+
+    if (entry.stdin && typeof entry.stdin === 'object') {
+      errors.push(...validateStdinPolicy(entry.stdin).map(error => `${label}: ${error}`));
+    }
+
+    for (const [platform, variant] of Object.entries(entry.platforms || {})) {
+      for (const name of findUnknownTemplateNames(variant?.args, entry.argSchema)) {
+        errors.push(`${label}: platforms.${platform}: template {{${name}}} does not name an argument in argSchema`);
+      }
+    }
+
+    const unknownKeys = Object.keys(entry).filter(key => !KNOWN_COMMAND_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      warnings.push(`${label}: unknown key${unknownKeys.length === 1 ? '' : 's'} ${unknownKeys.join(', ')}`);
+    }
+  });
+
+  return { commands: data, errors, warnings };
+}
+
+// ======================
+// Access Control
+// ======================
+// Callers are identified by API keys from the auth file and mapped to roles.
+// A role lists the tools it may call and the commands (name globs or tags)
+// it may execute. Without an auth file every caller is an anonymous admin.
+const DEFAULT_ROLES = {
+  viewer: {
+    tools: ["queryCommands"],
+    commands: [],
+    tags: [],
+    allowDangerous: false
+  },
+  operator: {
+    tools: ["execute", "queryCommands", "approvalStatus", "startJob", "jobStatus", "jobOutput", "killJob"],
+    commands: ["*"],
+    tags: [],
+    allowDangerous: false
+  },
+  admin: {
+    tools: ["*"],
+    commands: ["*"],
+    tags: [],
+    allowDangerous: true
+  }
+};
+
+let authConfig = null;
+let stdioCaller = { id: 'anonymous', role: 'admin' };
+
+function matchesGlob(value, pattern) {
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  return regex.test(value);
+}
+
+function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function loadAuthConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const roles = { ...DEFAULT_ROLES, ...(config.roles || {}) };
+  const seenIds = new Set();
+
+  if (!Array.isArray(config.keys)) {
+    throw new Error(`"keys" must be an array`);
+  }
+
+  const keys = config.keys.map((entry, index) => {
+    if (!entry.id || typeof entry.id !== 'string') {
+      throw new Error(`keys[${index}]: "id" is required`);
+    }
+    if (seenIds.has(entry.id)) {
+      throw new Error(`keys[${index}]: duplicate id "${entry.id}"`);
+    }
+    seenIds.add(entry.id);
+    if (!roles[entry.role]) {
+      throw new Error(`keys[${index}]: unknown role "${entry.role}"`);
+    }
+    if (!entry.key && !entry.keyHash) {
+      throw new Error(`keys[${index}]: either "key" or "keyHash" (sha256 hex) is required`);
+    }
+    return {
+      id: entry.id,
+      role: entry.role,
+      hash: Buffer.from(entry.keyHash ? entry.keyHash.replace(/^sha256:/, '').toLowerCase() : hashApiKey(entry.key), 'hex')
+    };
+  });
+
+  if (config.anonymousRole && !roles[config.anonymousRole]) {
+    throw new Error(`unknown anonymousRole "${config.anonymousRole}"`);
+  }
+
+  return { roles, keys, anonymousRole: config.anonymousRole || null };
+}
+
+function initAccessControl() {
+  if (!AUTH_FILE) {
+    console.warn('Warning: No auth file configured, all callers have admin access');
+    return;
+  }
+
+  try {
+    authConfig = loadAuthConfig(AUTH_FILE);
+  } catch (err) {
+    console.error(`Fatal: Invalid auth file ${AUTH_FILE}: ${err.message}`);
+    process.exit(1);
+  }
+
+  // A stdio client is a single caller, identified once at startup
+  if (TRANSPORT === "stdio") {
+    stdioCaller = authenticate(process.env.CMD_EXEC_API_KEY);
+    if (!stdioCaller) {
+      console.error('Fatal: CMD_EXEC_API_KEY is missing or invalid');
+      process.exit(1);
+    }
+  }
+
+  logAction('access_control_loaded', {
+    file: AUTH_FILE,
+    keys: authConfig.keys.length,
+    roles: Object.keys(authConfig.roles)
+  });
+}
+
+// Returns the caller for an API key, the anonymous caller when anonymous
+// access is configured, or null when the key is rejected
+function authenticate(apiKey) {
+  if (!authConfig) {
+    return { id: 'anonymous', role: 'admin' };
+  }
+
+  if (apiKey) {
+    const hash = createHash('sha256').update(apiKey).digest();
+    const match = authConfig.keys.find(k => k.hash.length === hash.length && timingSafeEqual(k.hash, hash));
+    return match ? { id: match.id, role: match.role } : null;
+  }
+
+  return authConfig.anonymousRole ? { id: 'anonymous', role: authConfig.anonymousRole } : null;
+}
+
+function getRole(caller) {
+  const roles = authConfig ? authConfig.roles : DEFAULT_ROLES;
+  return roles[caller.role] || { tools: [], commands: [], tags: [], allowDangerous: false };
+}
+
+function canCallTool(caller, toolName) {
+  return (getRole(caller).tools || []).some(pattern => matchesGlob(toolName, pattern));
+}
+
+// Returns null when the caller may run the command, else the reason
+function checkCommandPermission(caller, cmdConfig) {
+  const role = getRole(caller);
+  const byName = (role.commands || []).some(pattern => matchesGlob(cmdConfig.name, pattern));
+  const byTag = (cmdConfig.tags || []).some(tag => (role.tags || []).includes(tag));
+
+  if (!byName && !byTag) {
+    return `role "${caller.role}" may not run "${cmdConfig.name}"`;
+  }
+  if (cmdConfig.dangerous && !role.allowDangerous) {
+    return `role "${caller.role}" may not run dangerous commands`;
+  }
+  return null;
+}
+
+function resolveCaller(extra = {}) {
+  return extra.authInfo?.extra?.caller || callerContext.getStore() || stdioCaller;
+}
+
+// Wraps a tool handler so it runs with the caller recorded in the log
+// context and is refused when the caller's role does not grant the tool
+function authorizedHandler(toolName, handler) {
+  return (params, extra = {}) => {
+    const caller = resolveCaller(extra);
+    return callerContext.run(caller, () => {
+      if (shuttingDown) {
+        return { content: [{ type: "text", text: "Error: The service is shutting down" }], isError: true };
+      }
+      if (!canCallTool(caller, toolName)) {
+        logAction('tool_forbidden', { requestId: params.requestId, tool: toolName });
+        return {
+          content: [{
+            type: "text",
+            text: `Error: Caller "${caller.id}" (role ${caller.role}) is not allowed to call ${toolName}`
+          }]
+        };
+      }
+      return handler(params, { ...extra, caller });
+    });
+  };
+}
+
+// ======================
+// Confirmation Tokens
+// ======================
+// Dangerous commands need a token issued by the server on the first call.
+// A token is single use, expires after CONFIRMATION_TTL_MS and only confirms
+// the exact command line, requestId and caller it was issued for.
+const SPENT_TOKEN_RETENTION_MS = 60 * 60 * 1000;
+
+const CONFIRMATION_BINDING_LABELS = {
+  tool: 'tool',
+  command: 'command',
+  commandLine: 'arguments',
+  cwd: 'working directory',
+  envOverrides: 'environment',
+  stdin: 'stdin',
+  requestId: 'requestId',
+  callerId: 'caller'
+};
+
+const pendingConfirmations = new Map();
+const spentConfirmations = new Map();
+
+function issueConfirmationToken(binding) {
+  const token = randomBytes(24).toString('base64url');
+  const record = {
+    id: randomUUID().slice(0, 8),
+    ...binding,
+    issuedAt: Date.now(),
+    expiresAt: Date.now() + CONFIRMATION_TTL_MS
+  };
+  pendingConfirmations.set(token, record);
+  logAction('confirmation_token_issued', {
+    requestId: binding.requestId,
+    command: binding.commandLine,
+    tokenId: record.id,
+    expiresAt: new Date(record.expiresAt).toISOString()
+  });
+  return { token, record };
+}
+
+function spendConfirmationToken(token, record, status) {
+  pendingConfirmations.delete(token);
+  spentConfirmations.set(token, { id: record.id, status, at: Date.now() });
+}
+
+// Returns { record } when the token confirms this exact call, else { error, reason }
+function redeemConfirmationToken(token, binding) {
+  const record = pendingConfirmations.get(token);
+
+  if (!record) {
+    const spent = spentConfirmations.get(token);
+    if (spent) {
+      logAction('confirmation_token_reused', {
+        requestId: binding.requestId,
+        command: binding.commandLine,
+        tokenId: spent.id,
+        previousStatus: spent.status
+      });
+      return { error: `Confirmation token was already ${spent.status}`, reason: `token_${spent.status}` };
+    }
+    return { error: "Invalid confirmation token", reason: 'invalid_confirmation_token' };
+  }
+
+  if (Date.now() > record.expiresAt) {
+    spendConfirmationToken(token, record, 'expired');
+    logAction('confirmation_token_expired', {
+      requestId: binding.requestId,
+      command: record.commandLine,
+      tokenId: record.id
+    });
+    return { error: "Confirmation token has expired, request a new one", reason: 'token_expired' };
+  }
+
+  const mismatch = Object.keys(CONFIRMATION_BINDING_LABELS)
+    .find(key => (record[key] ?? null) !== (binding[key] ?? null));
+  if (mismatch) {
+    // A token presented for a different call is revoked so it cannot be probed
+    spendConfirmationToken(token, record, 'revoked');
+    logAction('confirmation_token_revoked', {
+      requestId: binding.requestId,
+      command: binding.commandLine,
+      tokenId: record.id,
+      reason: `${mismatch}_mismatch`
+    });
+    return {
+      error: `Confirmation token was issued for a different ${CONFIRMATION_BINDING_LABELS[mismatch]}`,
+      reason: 'token_mismatch'
+    };
+  }
+
+  spendConfirmationToken(token, record, 'used');
+  logAction('confirmation_token_used', {
+    requestId: binding.requestId,
+    command: record.commandLine,
+    tokenId: record.id
+  });
+  return { record };
+}
+
+function revokeConfirmationTokens(predicate, reason) {
+  let count = 0;
+  for (const [token, record] of pendingConfirmations) {
+    if (!predicate(token, record)) continue;
+    spendConfirmationToken(token, record, 'revoked');
+    logAction('confirmation_token_revoked', {
+      requestId: record.requestId,
+      command: record.commandLine,
+      tokenId: record.id,
+      reason
+    });
+    count++;
+  }
+  return count;
+}
+
+function sweepConfirmationTokens() {
+  const now = Date.now();
+  for (const [token, record] of pendingConfirmations) {
+    if (now <= record.expiresAt) continue;
+    spendConfirmationToken(token, record, 'expired');
+    logAction('confirmation_token_expired', {
+      requestId: record.requestId,
+      command: record.commandLine,
+      tokenId: record.id
+    });
+  }
+  for (const [token, spent] of spentConfirmations) {
+    if (now - spent.at > SPENT_TOKEN_RETENTION_MS) spentConfirmations.delete(token);
+  }
+}
+
+setInterval(sweepConfirmationTokens, 30 * 1000).unref();
+
+// ======================
+// Approval Queue
+// ======================
+// In approval mode a dangerous call creates a pending approval that a human
+// decides out-of-band, through the `approvals` CLI subcommand or the
+// decideApproval tool. Approvals live in APPROVALS_FILE so a CLI process and
+// the server share them. An approved request runs once, for the exact call
+// it was requested for, before it expires.
+const APPROVAL_HISTORY_MS = 24 * 60 * 60 * 1000;
+const APPROVAL_POLL_INTERVAL_MS = 500;
+
+function getConfirmationMode(cmdConfig) {
+  return cmdConfig.confirmation || CONFIRMATION_MODE;
+}
+
+function readApprovals() {
+  if (!fs.existsSync(APPROVALS_FILE)) return [];
+  const data = fs.readFileSync(APPROVALS_FILE, 'utf8');
+  return data.trim() ? JSON.parse(data) : [];
+}
+
+function writeApprovals(approvals) {
+  const tmpFile = `${APPROVALS_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(approvals, null, 2));
+  fs.renameSync(tmpFile, APPROVALS_FILE);
+}
+
+function isApprovalStale(approval, now) {
+  return ['pending', 'approved'].includes(approval.status) && now > Date.parse(approval.expiresAt);
+}
+
+// Reads the queue, expires stale entries, applies `mutate` and writes the
+// queue back under the approvals lock when it changed; returns what `mutate`
+// returned
+function updateApprovals(mutate) {
+  return withFileLock(`${APPROVALS_FILE}.lock`, () => applyApprovalUpdate(mutate));
+}
+
+// Reads the queue without locking or writing it, unless an entry is due to
+// expire; lookups and approvalStatus polls go through here
+function listApprovals() {
+  const approvals = readApprovals();
+  const now = Date.now();
+  return approvals.some(approval => isApprovalStale(approval, now)) ? updateApprovals(list => list) : approvals;
+}
+
+function applyApprovalUpdate(mutate) {
+  const approvals = readApprovals();
+  const before = JSON.stringify(approvals);
+  const now = Date.now();
+
+  for (const approval of approvals) {
+    if (isApprovalStale(approval, now)) {
+      approval.status = 'expired';
+      logAction('approval_expired', {
+        requestId: approval.requestId,
+        command: approval.commandLine,
+        approvalId: approval.id
+      });
+    }
+  }
+
+  const result = mutate(approvals);
+  const kept = approvals.filter(approval =>
+    ['pending', 'approved'].includes(approval.status) ||
+    now - Date.parse(approval.decidedAt || approval.expiresAt) < APPROVAL_HISTORY_MS);
+  if (JSON.stringify(kept) !== before) writeApprovals(kept);
+  return result;
+}
+
+function createApproval(binding, reason) {
+  const approval = {
+    id: randomUUID().slice(0, 8),
+    ...binding,
+    reason: reason || null,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + APPROVAL_TTL_MS).toISOString(),
+    decidedAt: null,
+    decidedBy: null,
+    note: null
+  };
+  updateApprovals(approvals => approvals.push(approval));
+  logAction('approval_requested', {
+    requestId: binding.requestId,
+    command: binding.commandLine,
+    approvalId: approval.id,
+    reason
+  });
+  return approval;
+}
+
+// Returns { approval } or { error }
+function decideApproval(approvalId, decision, decider, note) {
+  const outcome = updateApprovals(approvals => {
+    const approval = approvals.find(a => a.id === approvalId);
+    if (!approval) return { error: `Unknown approval "${approvalId}"` };
+    if (approval.status !== 'pending') return { error: `Approval ${approvalId} is ${approval.status}, not pending` };
+    if (approval.callerId === decider.id) return { error: "Approvals must be decided by someone other than the requester" };
+
+    approval.status = decision === 'approve' ? 'approved' : 'denied';
+    approval.decidedAt = new Date().toISOString();
+    approval.decidedBy = decider.id;
+    approval.note = note || null;
+    if (approval.status === 'approved') {
+      // The requester gets a full TTL to run the command after approval
+      approval.expiresAt = new Date(Date.now() + APPROVAL_TTL_MS).toISOString();
+    }
+    return { approval };
+  });
+
+  if (outcome.approval) {
+    logAction(`approval_${outcome.approval.status}`, {
+      requestId: outcome.approval.requestId,
+      command: outcome.approval.commandLine,
+      approvalId,
+      requester: outcome.approval.callerId,
+      note
+    });
+  }
+  return outcome;
+}
+
+// Returns { approval } when the approval allows this exact call, else { error, reason }
+function redeemApproval(approvalId, binding) {
+  const outcome = updateApprovals(approvals => {
+    const approval = approvals.find(a => a.id === approvalId);
+    if (!approval) return { error: `Unknown approval "${approvalId}"`, reason: 'unknown_approval' };
+
+    const mismatch = Object.keys(CONFIRMATION_BINDING_LABELS)
+      .find(key => (approval[key] ?? null) !== (binding[key] ?? null));
+    if (mismatch) {
+      return {
+        error: `Approval ${approvalId} was requested for a different ${CONFIRMATION_BINDING_LABELS[mismatch]}`,
+        reason: 'approval_mismatch'
+      };
+    }
+    if (approval.status === 'pending') {
+      return { error: `Approval ${approvalId} is still pending, poll approvalStatus`, reason: 'approval_pending' };
+    }
+    if (approval.status !== 'approved') {
+      return { error: `Approval ${approvalId} is ${approval.status}`, reason: `approval_${approval.status}` };
+    }
+
+    approval.status = 'used';
+    approval.usedAt = new Date().toISOString();
+    return { approval };
+  });
+
+  if (outcome.approval) {
+    logAction('approval_used', { requestId: binding.requestId, command: binding.commandLine, approvalId });
+  }
+  return outcome;
+}
+
+function findApproval(approvalId) {
+  return listApprovals().find(a => a.id === approvalId);
+}
+
+// Polls the shared queue until the approval leaves "pending", the wait
+// runs out or the request is cancelled
+async function waitForApprovalDecision(approvalId, waitMs, signal) {
+  const deadline = Date.now() + waitMs;
+  let approval = findApproval(approvalId);
+  while (approval?.status === 'pending' && Date.now() < deadline && !signal?.aborted) {
+    await new Promise(resolve => setTimeout(resolve, Math.min(APPROVAL_POLL_INTERVAL_MS, deadline - Date.now())));
+    approval = findApproval(approvalId);
+  }
+  return approval;
+}
+
+function formatApproval(approval) {
+  return `${approval.id} [${approval.status}] ${approval.commandLine}` +
+    ` (requested by ${approval.callerId}${approval.reason ? `: ${approval.reason}` : ''}, ` +
+    `expires ${approval.expiresAt}${approval.decidedBy ? `, decided by ${approval.decidedBy}` : ''})`;
+}
+
+// `node index.js approvals list|approve <id>|deny <id> [--note text]`
+function runApprovalsCli(subcommand, approvalId) {
+  const decider = { id: `cli:${os.userInfo().username}`, role: 'admin' };
+
+  return callerContext.run(decider, () => {
+    if (subcommand === 'list' || !subcommand) {
+      const approvals = listApprovals();
+      const shown = args.all ? approvals : approvals.filter(a => a.status === 'pending');
+      console.log(shown.length ? shown.map(formatApproval).join('\n') : 'No pending approvals');
+      return 0;
+    }
+
+    if (!['approve', 'deny'].includes(subcommand) || !approvalId) {
+      console.error('Usage: node index.js approvals list [--all] | approve <id> | deny <id> [--note "text"]');
+      return 1;
+    }
+
+    const { approval, error } = decideApproval(String(approvalId), subcommand, decider, args.note);
+    if (error) {
+      console.error(`Error: ${error}`);
+      return 1;
+    }
+    console.log(formatApproval(approval));
+    return 0;
+  });
+}
+
+// ======================
+// Rate Limits and Quotas
+// ======================
+// A run counts against the per-minute and concurrency limits of the command
+// (and of every step command of a pipeline) and against the daily quota of
+// the caller, or of the requestId prefix with --quota-by request-prefix.
+// Dangerous commands have stricter defaults. Per-minute and concurrency
+// usage is kept in memory per process. Daily quota usage is shared by all
+// service processes through QUOTA_FILE, next to the approvals file, and
+// survives restarts.
+const RATE_LIMIT_KEYS = ["callsPerMinute", "maxConcurrent"];
+const RATE_WINDOW_MS = 60 * 1000;
+const QUOTA_FILE = path.join(path.dirname(APPROVALS_FILE), "quota.json");
+
+const commandUsage = new Map();
+
+function resolveRateLimits(cmdConfig) {
+  return {
+    callsPerMinute: cmdConfig.callsPerMinute ?? (cmdConfig.dangerous ? DANGEROUS_CALLS_PER_MINUTE : DEFAULT_CALLS_PER_MINUTE),
+    maxConcurrent: cmdConfig.maxConcurrent ?? (cmdConfig.dangerous ? DANGEROUS_MAX_CONCURRENT : DEFAULT_MAX_CONCURRENT)
+  };
+}
+
+function getCommandUsage(name) {
+  let usage = commandUsage.get(name);
+  if (!usage) {
+    usage = { calls: [], active: 0 };
+    commandUsage.set(name, usage);
+  }
+  const cutoff = Date.now() - RATE_WINDOW_MS;
+  while (usage.calls.length > 0 && usage.calls[0] <= cutoff) usage.calls.shift();
+  return usage;
+}
+
+// "ci-1234" and "ci:build:7" both count against "ci"
+function getQuotaKey(caller, requestId) {
+  if (QUOTA_BY === "request-prefix" && requestId) {
+    return `request:${requestId.split(/[-:/]/)[0]}`;
+  }
+  return `caller:${caller.id}`;
+}
+
+function getDailyQuota(caller) {
+  return getRole(caller).dailyQuota ?? DEFAULT_DAILY_QUOTA;
+}
+
+let quotaFileError = null;
+
+// Returns { day, counts } for today (UTC); counts of earlier days are dropped.
+// An unreadable file counts as empty and is logged once per distinct error
+function readQuotaFile() {
+  const day = new Date().toISOString().slice(0, 10);
+  if (!fs.existsSync(QUOTA_FILE)) return { day, counts: {} };
+  let usage;
+  try {
+    const data = fs.readFileSync(QUOTA_FILE, 'utf8');
+    usage = data.trim() ? JSON.parse(data) : {};
+    quotaFileError = null;
+  } catch (err) {
+    if (quotaFileError !== err.message) {
+      quotaFileError = err.message;
+      logAction('quota_file_invalid', { file: QUOTA_FILE, error: err.message });
+    }
+    usage = {};
+  }
+  return usage?.day === day ? { day, counts: usage.counts || {} } : { day, counts: {} };
+}
+
+function getQuotaUsage(key) {
+  const { day, counts } = readQuotaFile();
+  return { day, count: counts[key] || 0 };
+}
+
+function dailyQuotaExceeded(quota, quotaKey) {
+  const nextDay = new Date();
+  nextDay.setUTCHours(24, 0, 0, 0);
+  return {
+    limit: 'dailyQuota',
+    retryAfterMs: nextDay - Date.now(),
+    error: `daily quota of ${quota} executions for ${quotaKey} is used up`
+  };
+}
+
+// Checks and counts one execution under the quota lock, so processes sharing
+// QUOTA_FILE can't both take the last one; returns null or the limit hit
+function reserveQuotaUsage(caller, requestId) {
+  const quota = getDailyQuota(caller);
+  const quotaKey = getQuotaKey(caller, requestId);
+  return withFileLock(`${QUOTA_FILE}.lock`, () => {
+    const usage = readQuotaFile();
+    const count = usage.counts[quotaKey] || 0;
+    if (quota > 0 && count >= quota) return dailyQuotaExceeded(quota, quotaKey);
+    usage.counts[quotaKey] = count + 1;
+    const tmpFile = `${QUOTA_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(usage, null, 2));
+    fs.renameSync(tmpFile, QUOTA_FILE);
+    return null;
+  });
+}
+
+// Returns null when the call may run now, else { error, limit, retryAfterMs };
+// retryAfterMs is null when it depends on running executions finishing
+function checkRateLimits(cmdConfigs, caller, requestId) {
+  const quota = getDailyQuota(caller);
+  const quotaKey = getQuotaKey(caller, requestId);
+  if (quota > 0 && getQuotaUsage(quotaKey).count >= quota) {
+    return dailyQuotaExceeded(quota, quotaKey);
+  }
+
+  for (const cmdConfig of cmdConfigs) {
+    const { callsPerMinute, maxConcurrent } = resolveRateLimits(cmdConfig);
+    const usage = getCommandUsage(cmdConfig.name);
+    if (maxConcurrent > 0 && usage.active >= maxConcurrent) {
+      return {
+        limit: 'maxConcurrent',
+        retryAfterMs: null,
+        error: `"${cmdConfig.name}" already has ${usage.active} execution(s) running (limit ${maxConcurrent})`
+      };
+    }
+    if (callsPerMinute > 0 && usage.calls.length >= callsPerMinute) {
+      return {
+        limit: 'callsPerMinute',
+        retryAfterMs: usage.calls[0] + RATE_WINDOW_MS - Date.now(),
+        error: `"${cmdConfig.name}" ran ${usage.calls.length} times in the last minute (limit ${callsPerMinute})`
+      };
+    }
+  }
+  return null;
+}
+
+// Counts a run that is starting; returns { release } with the function that
+// ends it, or { rateLimit } when another process used up the daily quota
+// since checkRateLimits
+function acquireUsage(cmdConfigs, caller, requestId) {
+  const now = Date.now();
+  const rateLimit = reserveQuotaUsage(caller, requestId);
+  if (rateLimit) return { rateLimit };
+
+  const usages = cmdConfigs.map(cmdConfig => getCommandUsage(cmdConfig.name));
+  for (const usage of usages) {
+    usage.calls.push(now);
+    usage.active++;
+  }
+
+  let released = false;
+  return {
+    release: () => {
+      if (released) return;
+      released = true;
+      for (const usage of usages) usage.active--;
+    }
+  };
+}
+
+function describeUsage(cmdConfig) {
+  const { callsPerMinute, maxConcurrent } = resolveRateLimits(cmdConfig);
+  const usage = getCommandUsage(cmdConfig.name);
+  return `${usage.calls.length}/${callsPerMinute || 'unlimited'} calls in the last minute, ` +
+         `${usage.active}/${maxConcurrent || 'unlimited'} running`;
+}
+
+// ======================
+// Command Runner
+// ======================
+// Commands are spawned without a shell in their own process group so a
+// timeout or cancellation can kill everything they started. Output is
+// capped per stream, keeping either the head or the tail.
+const KILL_GRACE_MS = 2000;
+
+const EXECUTION_LIMIT_KEYS = ["timeoutMs", "maxOutputBytes", "truncate", "jobTimeoutMs", "maxConcurrentJobs"];
+
+// Running children, mapped to their container ({ runtime, name }) if any
+const runningCommands = new Map();
+
+function resolveExecutionLimits(cmdConfig) {
+  return {
+    timeoutMs: cmdConfig.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+    maxOutputBytes: cmdConfig.maxOutputBytes ?? DEFAULT_MAX_OUTPUT_BYTES,
+    truncate: cmdConfig.truncate || DEFAULT_TRUNCATE
+  };
+}
+
+function createOutputCollector(maxBytes, strategy) {
+  let chunks = [];
+  let keptBytes = 0;
+  let totalBytes = 0;
+
+  return {
+    push(chunk) {
+      totalBytes += chunk.length;
+      if (strategy === "head") {
+        if (keptBytes >= maxBytes) return;
+        const slice = chunk.subarray(0, maxBytes - keptBytes);
+        chunks.push(slice);
+        keptBytes += slice.length;
+        return;
+      }
+
+      chunks.push(chunk);
+      keptBytes += chunk.length;
+      while (keptBytes > maxBytes) {
+        const excess = keptBytes - maxBytes;
+        if (chunks[0].length <= excess) {
+          keptBytes -= chunks.shift().length;
+        } else {
+          chunks[0] = chunks[0].subarray(excess);
+          keptBytes -= excess;
+        }
+      }
+    },
+    result() {
+      return {
+        text: Buffer.concat(chunks).toString('utf8'),
+        totalBytes,
+        truncatedBytes: totalBytes - keptBytes
+      };
+    },
+    size() {
+      return totalBytes;
+    },
+    // Reads kept bytes by absolute stream offset; bytes already dropped
+    // from a tail buffer are reported as skipped
+    read(offset, maxLength) {
+      const firstOffset = strategy === "head" ? 0 : totalBytes - keptBytes;
+      const from = Math.max(offset, firstOffset);
+      const data = Buffer.concat(chunks).subarray(from - firstOffset, from - firstOffset + maxLength);
+      return {
+        data: data.toString('utf8'),
+        offset: from,
+        nextOffset: from + data.length,
+        skippedBytes: from - offset,
+        totalBytes
+      };
+    }
+  };
+}
+
+// Runs `<runtime> stop|kill <name>` without waiting for it, also from the
+// exit handler
+function stopContainer({ runtime, name }, action) {
+  const argv = action === "stop" ? ["stop", "--time", String(KILL_GRACE_MS / 1000), name] : ["kill", name];
+  spawn(runtime, argv, { stdio: 'ignore', detached: true, windowsHide: true })
+    .on('error', () => {})
+    .unref();
+}
+
+function killProcessTree(child, signal) {
+  if (process.platform === 'win32') {
+    execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], { windowsHide: true }, () => {});
+    return;
+  }
+  try {
+    process.kill(-child.pid, signal);
+  } catch (err) {
+    if (err.code !== 'ESRCH') child.kill(signal);
+  }
+}
+
+// Starts a command and returns { child, stdout, stderr, terminate, done }.
+// done resolves once the process has exited, including on timeout or abort
+// (reported through killReason), and rejects only when it cannot be started.
+function spawnCommand(command, argv, { timeoutMs, maxOutputBytes, truncate, signal, cwd, env, uid, gid, input, prompts, redactionRules, container } = {}) {
+  const child = spawn(command, argv, {
+    cwd,
+    env,
+    ...(uid !== undefined ? { uid, gid } : {}),
+    shell: false,
+    windowsHide: true,
+    detached: process.platform !== 'win32',
+    stdio: [input !== undefined || prompts ? 'pipe' : 'ignore', 'pipe', 'pipe']
+  });
+  const stdout = createOutputCollector(maxOutputBytes, truncate);
+  const stderr = createOutputCollector(maxOutputBytes, truncate);
+  // With redactionRules the collectors only ever see redacted output
+  const redactors = redactionRules
+    ? { stdout: createStreamRedactor(redactionRules), stderr: createStreamRedactor(redactionRules) }
+    : null;
+  let killReason = null;
+  let timeoutTimer = null;
+  let graceTimer = null;
+  let promptWindow = '';
+  let promptsAnswered = 0;
+
+  // Output since the last answer is matched, so a prompt is answered once
+  const answerPrompts = (chunk) => {
+    if (!prompts || !child.stdin.writable) return;
+    promptWindow = (promptWindow + chunk.toString()).slice(-PROMPT_WINDOW_CHARS);
+    const prompt = prompts.find(candidate => candidate.pattern.test(promptWindow));
+    if (!prompt) return;
+    promptWindow = '';
+    child.stdin.write(`${prompt.response}\n`);
+    if (++promptsAnswered >= MAX_PROMPT_ANSWERS) child.stdin.end();
+  };
+
+  const terminate = (reason) => {
+    if (killReason) return;
+    killReason = reason;
+    if (container) stopContainer(container, "stop");
+    killProcessTree(child, 'SIGTERM');
+    graceTimer = setTimeout(() => killProcessTree(child, 'SIGKILL'), KILL_GRACE_MS);
+  };
+  const onAbort = () => terminate('cancelled');
+  const cleanup = () => {
+    runningCommands.delete(child);
+    clearTimeout(timeoutTimer);
+    clearTimeout(graceTimer);
+    signal?.removeEventListener('abort', onAbort);
+  };
+
+  runningCommands.set(child, container);
+  if (child.stdin) {
+    // EPIPE when the process exits without reading its input
+    child.stdin.on('error', () => {});
+    if (input !== undefined) child.stdin.write(input);
+    if (!prompts) child.stdin.end();
+  }
+  child.stdout.on('data', (chunk) => {
+    stdout.push(redactors ? redactors.stdout.write(chunk) : chunk);
+    answerPrompts(chunk);
+  });
+  child.stderr.on('data', (chunk) => {
+    stderr.push(redactors ? redactors.stderr.write(chunk) : chunk);
+    answerPrompts(chunk);
+  });
+  signal?.addEventListener('abort', onAbort);
+  if (timeoutMs > 0) {
+    timeoutTimer = setTimeout(() => terminate('timeout'), timeoutMs);
+  }
+
+  const done = new Promise((resolve, reject) => {
+    child.on('error', (err) => {
+      cleanup();
+      reject(err);
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      cleanup();
+      if (redactors) {
+        stdout.push(redactors.stdout.end());
+        stderr.push(redactors.stderr.end());
+      }
+      const out = stdout.result();
+      const err = stderr.result();
+      resolve({
+        stdout: out.text,
+        stderr: err.text,
+        exitCode,
+        signal: exitSignal,
+        killReason,
+        stdoutBytes: out.totalBytes,
+        stderrBytes: err.totalBytes,
+        stdoutTruncatedBytes: out.truncatedBytes,
+        stderrTruncatedBytes: err.truncatedBytes,
+        promptsAnswered,
+        redactions: redactors ? redactors.stdout.count() + redactors.stderr.count() : undefined
+      });
+    });
+  });
+
+  return { child, stdout, stderr, terminate, done };
+}
+
+function runCommand(command, argv, options = {}) {
+  if (options.signal?.aborted) {
+    return Promise.reject(new Error("Request was cancelled before the command started"));
+  }
+  return spawnCommand(command, argv, options).done;
+}
+
+function buildExecutionResult(commandLine, result, limits, durationMs, cwd) {
+  return {
+    command: commandLine,
+    cwd,
+    exitCode: result.exitCode,
+    signal: result.signal,
+    killReason: result.killReason,
+    timedOut: result.killReason === 'timeout',
+    durationMs,
+    stdout: result.stdout,
+    stderr: result.stderr,
+    stdoutBytes: result.stdoutBytes,
+    stderrBytes: result.stderrBytes,
+    stdoutTruncated: result.stdoutTruncatedBytes > 0,
+    stderrTruncated: result.stderrTruncatedBytes > 0,
+    truncation: limits.truncate,
+    promptsAnswered: result.promptsAnswered
+  };
+}
+
+function formatExecutionResult(structured) {
+  const { command, exitCode, signal, killReason, durationMs, stdout, stderr } = structured;
+  let status;
+  if (killReason === 'timeout') status = `Timed out after ${durationMs}ms and was killed`;
+  else if (killReason === 'cancelled') status = `Cancelled after ${durationMs}ms and was killed`;
+  else if (exitCode === null) status = `Killed by ${signal} after ${durationMs}ms`;
+  else status = `Exit code ${exitCode} (${durationMs}ms)`;
+
+  const sections = [`${structured.cwd}$ ${command}\n${status}`];
+  for (const stream of ["stdout", "stderr"]) {
+    const text = stream === "stdout" ? stdout : stderr;
+    if (!text) continue;
+    const note = structured[`${stream}Truncated`]
+      ? ` (truncated to the ${structured.truncation} of ${structured[`${stream}Bytes`]} bytes)`
+      : '';
+    sections.push(`--- ${stream}${note} ---\n${text.replace(/\n$/, '')}`);
+  }
+  if (!stdout && !stderr) sections.push("Command executed with no output");
+  return sections.join('\n\n');
+}
+
+// Logs a finished run as command_executed or command_failed; `details` are
+// added to the entry after the outcome fields
+function logExecutionResult(result, { requestId, fullCommand, limits, executionTime, ...details }) {
+  const outputStats = {
+    ...details,
+    stdoutBytes: result.stdoutBytes,
+    stderrBytes: result.stderrBytes,
+    stdoutTruncatedBytes: result.stdoutTruncatedBytes,
+    stderrTruncatedBytes: result.stderrTruncatedBytes,
+    promptsAnswered: result.promptsAnswered || undefined
+  };
+
+  if (result.killReason) {
+    logAction('command_failed', {
+      requestId,
+      command: fullCommand,
+      status: result.killReason,
+      killReason: result.killReason,
+      signal: result.signal,
+      error: result.killReason === 'timeout' ? `Timed out after ${limits.timeoutMs}ms` : 'Cancelled by caller',
+      executionTime,
+      ...outputStats
+    });
+  } else if (result.exitCode !== 0) {
+    logAction('command_failed', {
+      requestId,
+      command: fullCommand,
+      status: 'error',
+      error: result.exitCode === null ? `Killed by ${result.signal}` : `Exit code ${result.exitCode}`,
+      exitCode: result.exitCode,
+      signal: result.signal,
+      executionTime,
+      ...outputStats
+    });
+  } else {
+    logAction('command_executed', {
+      requestId,
+      command: fullCommand,
+      status: 'success',
+      exitCode: result.exitCode,
+      executionTime,
+      outputLength: (result.stdout || result.stderr || '').length,
+      ...outputStats
+    });
+  }
+}
+
+function killRunningCommands() {
+  for (const [child, container] of runningCommands) {
+    if (container) stopContainer(container, "kill");
+    killProcessTree(child, 'SIGKILL');
+  }
+}
+
+// ======================
+// Background Jobs
+// ======================
+// Long-running commands started with startJob run detached from the MCP
+// request. Each job keeps the last JOB_BUFFER_BYTES of stdout and stderr,
+// addressed by absolute byte offset, so output can be read in chunks.
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+const MAX_RETAINED_JOBS = 200;
+
+const jobs = new Map();
+
+function countRunningJobs(commandName) {
+  let count = 0;
+  for (const job of jobs.values()) {
+    if (job.status === 'running' && job.command === commandName) count++;
+  }
+  return count;
+}
+
+function canAccessJob(caller, job) {
+  return job.callerId === caller.id || caller.role === 'admin';
+}
+
+function getJobSummary(job) {
+  return {
+    id: job.id,
+    command: job.commandLine,
+    cwd: job.cwd,
+    status: job.status,
+    exitCode: job.exitCode,
+    signal: job.signal,
+    requestId: job.requestId,
+    caller: job.callerId,
+    startedAt: new Date(job.startedAt).toISOString(),
+    endedAt: job.endedAt ? new Date(job.endedAt).toISOString() : null,
+    durationMs: (job.endedAt || Date.now()) - job.startedAt,
+    stdoutBytes: job.handle.stdout.size(),
+    stderrBytes: job.handle.stderr.size(),
+    error: job.error
+  };
+}
+
+// Drops finished jobs after JOB_RETENTION_MS, and the oldest finished jobs
+// beyond MAX_RETAINED_JOBS
+function pruneJobs() {
+  const now = Date.now();
+  const finished = [...jobs.values()].filter(job => job.status !== 'running');
+  for (const job of finished) {
+    if (now - job.endedAt > JOB_RETENTION_MS) jobs.delete(job.id);
+  }
+  const remaining = finished.filter(job => jobs.has(job.id)).sort((a, b) => a.endedAt - b.endedAt);
+  while (jobs.size > MAX_RETAINED_JOBS && remaining.length > 0) {
+    jobs.delete(remaining.shift().id);
+  }
+}
+
+function startBackgroundJob({ cmdConfig, invocation, fullCommand, cwd, requestId, caller }) {
+  const handle = spawnCommand(invocation.command, invocation.argv, {
+    timeoutMs: cmdConfig.jobTimeoutMs ?? DEFAULT_JOB_TIMEOUT_MS,
+    maxOutputBytes: JOB_BUFFER_BYTES,
+    truncate: "tail",
+    redactionRules: getRedactionRules(cmdConfig),
+    ...invocation.spawnOptions,
+    ...resolveStdinOptions(cmdConfig)
+  });
+  const job = {
+    id: randomUUID().slice(0, 8),
+    command: cmdConfig.name,
+    commandLine: fullCommand,
+    cwd: cwd || process.cwd(),
+    requestId,
+    callerId: caller.id,
+    redactions: 0,
+    status: 'running',
+    exitCode: null,
+    signal: null,
+    error: null,
+    startedAt: Date.now(),
+    endedAt: null,
+    handle
+  };
+  jobs.set(job.id, job);
+
+  handle.done.then((result) => {
+    job.exitCode = result.exitCode;
+    job.redactions = result.redactions;
+    job.signal = result.signal;
+    if (result.killReason) job.status = result.killReason;
+    else job.status = result.exitCode === 0 ? 'succeeded' : 'failed';
+  }, (err) => {
+    job.status = 'error';
+    job.error = err.message;
+  }).then(() => {
+    job.endedAt = Date.now();
+    // Logged on behalf of the caller who started the job
+    callerContext.run(caller, () => {
+      logAction('job_finished', {
+        requestId,
+        jobId: job.id,
+        command: fullCommand,
+        name: job.command,
+        status: job.status,
+        exitCode: job.exitCode,
+        signal: job.signal,
+        error: job.error || undefined,
+        executionTime: job.endedAt - job.startedAt,
+        stdoutBytes: handle.stdout.size(),
+        stderrBytes: handle.stderr.size(),
+        redactions: job.redactions || undefined
+      });
+    });
+    pruneJobs();
+  });
+
+  logAction('job_started', { requestId, jobId: job.id, command: fullCommand, backend: invocation.backend, cwd: job.cwd });
+  return job;
+}
+
+// Returns { job } or { error } for a job the caller may access
+function findJob(jobId, caller) {
+  const job = jobs.get(jobId);
+  if (!job || !canAccessJob(caller, job)) {
+    return { error: `Unknown job "${jobId}"` };
+  }
+  return { job };
+}
+
+setInterval(pruneJobs, 5 * 60 * 1000).unref();
+
+// ======================
+// Process Management
+// ======================
+// On SIGTERM or a crash the service stops taking requests and kills running
+// commands before it waits for pending notifications, so nothing new runs
+// in an unknown state meanwhile
+let shuttingDown = false;
+let activeHttpServer = null;
+let stdioTransport = null;
+
+function stopServing() {
+  shuttingDown = true;
+  activeHttpServer?.close();
+  activeHttpServer?.closeAllConnections();
+  for (const transport of [...streamableTransports.values(), ...sseTransports.values(), stdioTransport]) {
+    transport?.close().catch(() => {});
+  }
+  killRunningCommands();
+}
+
+function setupProcessHandlers() {
+  process.on('exit', (code) => {
+    killRunningCommands();
+    logAction('service_stopped', { code });
+    flushLogsSync();
+  });
+
+  process.on('uncaughtException', (err) => {
+    logAction('uncaught_exception', { error: err.message });
+    console.error('Critical error:', err);
+    if (shuttingDown) process.exit(1);
+    stopServing();
+    drainNotifications(NOTIFY_CRASH_GRACE_MS).finally(() => process.exit(1));
+  });
+
+  process.on('SIGTERM', () => {
+    logAction('service_terminated');
+    stopServing();
+    drainNotifications(NOTIFY_EXIT_GRACE_MS).finally(() => process.exit(0));
+  });
+
+}
+
+// ======================
+// MCP Server Setup
+// ======================
+// Tools and resources are defined once and registered on every McpServer
+// instance, since each HTTP session needs a server of its own
+const toolDefinitions = new Map();
+const resourceDefinitions = [];
+
+function defineTool(name, schema, handler) {
+  toolDefinitions.set(name, { schema, handler: authorizedHandler(name, handler) });
+}
+
+function defineResource(name, template, handler) {
+  resourceDefinitions.push({ name, template, handler });
+}
+
+function createMcpServer() {
+  const server = new McpServer({
+    name: "Secure Command Executor",
+    version: "2.6.1",
+    description: "Robust command execution service with daily log rotation",
+    endpoints: {
+      http: `http://localhost:${PORT}`
+    }
+  });
+
+  for (const [name, { schema, handler }] of toolDefinitions) {
+    server.tool(name, schema, handler);
+  }
+  for (const { name, template, handler } of resourceDefinitions) {
+    server.resource(name, template, handler);
+  }
+
+  return server;
+}
+
+// ======================
+// Initialization
+// ======================
+if (CLI_COMMAND) {
+  const cliCommands = {
+    approvals: () => runApprovalsCli(args._[1], args._[2]),
+    'verify-logs': runVerifyLogsCli,
+    'notify-test': () => runNotifyTestCli(args._[1])
+  };
+  if (!cliCommands[CLI_COMMAND]) {
+    console.error(`Unknown subcommand "${CLI_COMMAND}" (expected ${Object.keys(cliCommands).join(' or ')})`);
+    process.exit(1);
+  }
+  ensureDirectory(LOGS_DIR);
+  initNotifications();
+  const exitCode = await cliCommands[CLI_COMMAND]();
+  await drainNotifications(NOTIFY_EXIT_GRACE_MS);
+  flushLogsSync();
+  process.exit(exitCode);
+}
+
+setupProcessHandlers();
+initNotifications();
+ensureCommandsFile();
+initLogSystem();
+initAccessControl();
+
+if (!verifyFileAccess()) {
+  console.error('Fatal: Cannot access commands file');
+  process.exit(1);
+}
+
+initCommandConfig();
+
+logAction('service_initialized');
+
+// ======================
+// Tool Implementations
+// ======================
+
+// Logs a refused call and builds the response for the limit it hit
+function rateLimitedResponse(rateLimit, { requestId, fullCommand, caller }) {
+  const retryAfterSeconds = rateLimit.retryAfterMs === null ? null : Math.ceil(rateLimit.retryAfterMs / 1000);
+  logAction('rate_limited', {
+    requestId,
+    command: fullCommand,
+    limit: rateLimit.limit,
+    quotaKey: rateLimit.limit === 'dailyQuota' ? getQuotaKey(caller, requestId) : undefined,
+    retryAfterSeconds
+  });
+  return {
+    content: [{
+      type: "text",
+      text: `Error: Rate limited: ${rateLimit.error}. ` +
+            (retryAfterSeconds === null ? 'Retry once a running execution has finished.' : `Retry after ${retryAfterSeconds}s.`)
+    }],
+    isError: true,
+    structuredContent: { rateLimited: true, retryAfterSeconds }
+  };
+}
+
+// Checks shared by execute and startJob: lookup, enabled, permission,
+// arguments and dangerous-command confirmation. Returns { response } when
+// the call must stop here, else the resolved command.
+function prepareExecution({ tool, command, args, cwd: requestedCwd, env: envOverrides, stdin: stdinInput, confirmationToken, approvalId, approvalReason, requestId, caller }) {
+  let fullCommand = Array.isArray(args) ? formatCommandLine(command, args) : (args ? `${command} ${args}` : command);
+  const commands = loadCommands();
+  const cmdConfig = commands.find(c => c.name === command);
+  
+  if (!cmdConfig) {
+    logAction('command_not_found', { requestId, command });
+    return { response: { content: [{ type: "text", text: `Error: Unknown command "${command}"` }] } };
+  }
+
+  if (!cmdConfig.enabled) {
+    logAction('command_disabled', { requestId, command });
+    return { response: { content: [{ type: "text", text: `Error: Command "${command}" is disabled` }] } };
+  }
+
+  const permissionError = checkCommandPermission(caller, cmdConfig);
+  if (permissionError) {
+    logAction('command_forbidden', { requestId, command, reason: permissionError });
+    return { response: { content: [{ type: "text", text: `Error: Permission denied: ${permissionError}` }] } };
+  }
+
+  if (cmdConfig.steps && tool === "startJob") {
+    logAction('command_args_rejected', { requestId, command: fullCommand, reason: 'pipelines cannot run as jobs' });
+    return { response: { content: [{ type: "text", text: `Error: "${command}" is a pipeline, run it with execute` }] } };
+  }
+
+  const { argv, values, error: argsError } = validateArgs(cmdConfig, args);
+  if (argsError) {
+    logAction('command_args_rejected', { requestId, command: fullCommand, reason: argsError });
+    return { response: { content: [{ type: "text", text: `Error: Invalid arguments for "${command}": ${argsError}` }] } };
+  }
+  fullCommand = formatCommandLine(command, argv);
+  const prepared = { cmdConfig, executable: command, argv, fullCommand };
+
+  const { stdin, error: stdinError } = checkStdinInput(cmdConfig, stdinInput);
+  if (stdinError) {
+    logAction('command_stdin_rejected', { requestId, command: fullCommand, stdinBytes: Buffer.byteLength(stdinInput), reason: stdinError });
+    return { response: { content: [{ type: "text", text: `Error: ${stdinError}` }] } };
+  }
+  prepared.stdin = stdin;
+
+  if (!cmdConfig.steps) {
+    const { executable, argv: hostArgv, error: platformError } = resolveInvocation(cmdConfig, argv, values);
+    if (platformError) {
+      logAction('command_unavailable', { requestId, command: fullCommand, platform: process.platform });
+      return { response: { content: [{ type: "text", text: `Error: ${platformError}` }] } };
+    }
+    fullCommand = formatCommandLine(executable, hostArgv);
+    Object.assign(prepared, { executable, argv: hostArgv, fullCommand });
+  }
+
+  if (cmdConfig.steps) {
+    const { steps, error: stepError } = preparePipelineSteps(cmdConfig, values, { caller, requestedCwd, envOverrides });
+    if (stepError) {
+      logAction('pipeline_rejected', { requestId, command: fullCommand, reason: stepError });
+      return { response: { content: [{ type: "text", text: `Error: ${stepError}` }] } };
+    }
+    prepared.steps = steps;
+  } else {
+    const { cwd, error: cwdError } = resolveWorkingDirectory(cmdConfig, requestedCwd);
+    if (cwdError) {
+      logAction('command_cwd_rejected', { requestId, command: fullCommand, cwd: requestedCwd, reason: cwdError });
+      return { response: { content: [{ type: "text", text: `Error: ${cwdError}` }] } };
+    }
+
+    const { env, explicitNames, error: envError } = buildCommandEnv(cmdConfig, envOverrides);
+    if (envError) {
+      logAction('command_env_rejected', { requestId, command: fullCommand, envKeys: Object.keys(envOverrides || {}), reason: envError });
+      return { response: { content: [{ type: "text", text: `Error: ${envError}` }] } };
+    }
+
+    const invocation = buildSandboxInvocation(cmdConfig, prepared.executable, prepared.argv, { cwd, env, explicitNames });
+    if (invocation.error) {
+      logAction('command_sandbox_failed', { requestId, command: fullCommand, reason: invocation.error });
+      return { response: { content: [{ type: "text", text: `Error: ${invocation.error}` }] } };
+    }
+    Object.assign(prepared, { cwd, env, invocation });
+  }
+
+  prepared.limitTargets = [cmdConfig, ...(prepared.steps || []).map(step => step.cmdConfig)]
+    .filter((target, index, all) => all.findIndex(other => other.name === target.name) === index);
+  const rateLimit = checkRateLimits(prepared.limitTargets, caller, requestId);
+  if (rateLimit) {
+    return { response: rateLimitedResponse(rateLimit, { requestId, fullCommand, caller }) };
+  }
+
+  // Checked before a confirmation token or approval is redeemed, so a full job slot doesn't use it up
+  if (tool === "startJob") {
+    const maxJobs = cmdConfig.maxConcurrentJobs ?? DEFAULT_MAX_JOBS_PER_COMMAND;
+    const running = countRunningJobs(command);
+    if (running >= maxJobs) {
+      logAction('job_limit_reached', { requestId, command: fullCommand, running, limit: maxJobs });
+      return {
+        response: {
+          content: [{
+            type: "text",
+            text: `Error: ${running} job(s) of "${command}" already running (limit ${maxJobs}), try again later`
+          }]
+        }
+      };
+    }
+  }
+
+  // A pipeline needs confirmation when any of its steps would on its own
+  const dangerousSteps = (prepared.steps || []).filter(step => step.cmdConfig.dangerous);
+  if (cmdConfig.dangerous || dangerousSteps.length > 0) {
+    const binding = {
+      tool,
+      command,
+      commandLine: fullCommand,
+      cwd: (prepared.steps ? requestedCwd : prepared.cwd) ?? null,
+      envOverrides: envOverrides ? JSON.stringify(Object.entries(envOverrides).sort()) : null,
+      stdin: stdin?.sha256 ?? null,
+      requestId,
+      callerId: caller.id
+    };
+
+    const stepsNote = dangerousSteps.length > 0
+      ? `Dangerous Steps: ${dangerousSteps.map(step => step.fullCommand).join(', ')}\n`
+      : '';
+
+    if ([cmdConfig, ...dangerousSteps.map(step => step.cmdConfig)].some(c => getConfirmationMode(c) === "approval")) {
+      return checkApproval({ prepared, binding, approvalId, approvalReason, requestId, stepsNote });
+    }
+
+    if (!confirmationToken) {
+      logAction('dangerous_command_attempt', { requestId, command: fullCommand });
+      const { token, record } = issueConfirmationToken(binding);
+      return {
+        response: {
+          content: [{
+            type: "text",
+            text: `⚠️ DANGEROUS COMMAND WARNING ⚠️\n\n` +
+                  `Command: ${fullCommand}\n` +
+                  `Description: ${cmdConfig.description}\n` +
+                  `Potential Consequences: ${cmdConfig.consequences}\n` +
+                  stepsNote + `\n` +
+                  `Safety Confirmation: ${cmdConfig.confirmationPrompt}\n\n` +
+                  `To ${tool === "startJob" ? "start the job" : "execute"}, repeat this call with the same command, args, cwd, env, stdin ` +
+                  `and requestId, and include "confirmationToken":"${token}"\n` +
+                  `The token can be used once and expires at ${new Date(record.expiresAt).toISOString()}.`
+          }],
+          requiresConfirmation: true
+        }
+      };
+    }
+    
+    const { record, error: tokenError, reason } = redeemConfirmationToken(confirmationToken, binding);
+    if (tokenError) {
+      logAction('dangerous_command_rejected', {
+        requestId,
+        command: fullCommand,
+        reason
+      });
+      return { response: { content: [{ type: "text", text: `Error: ${tokenError}` }] } };
+    }
+
+    logAction('dangerous_command_confirmed', { requestId, command: fullCommand, tokenId: record.id });
+  }
+
+  return prepared;
+}
+
+// Approval-mode half of prepareExecution for dangerous commands
+function checkApproval({ prepared, binding, approvalId, approvalReason, requestId, stepsNote }) {
+  const { cmdConfig, fullCommand } = prepared;
+  if (!approvalId) {
+    logAction('dangerous_command_attempt', { requestId, command: fullCommand });
+    const approval = createApproval(binding, approvalReason);
+    return {
+      response: {
+        content: [{
+          type: "text",
+          text: `⚠️ DANGEROUS COMMAND - HUMAN APPROVAL REQUIRED ⚠️\n\n` +
+                `Command: ${fullCommand}\n` +
+                `Description: ${cmdConfig.description}\n` +
+                `Potential Consequences: ${cmdConfig.consequences}\n` +
+                stepsNote + `\n` +
+                `Approval ${approval.id} is pending until ${approval.expiresAt}. A human must approve it ` +
+                `(e.g. \`node index.js approvals approve ${approval.id}\`).\n` +
+                `Wait for the decision with approvalStatus {"approvalId":"${approval.id}","waitMs":60000}, then ` +
+                `repeat this call with the same command, args, cwd, env and requestId, and include ` +
+                `"approvalId":"${approval.id}"`
+        }],
+        requiresApproval: true,
+        approvalId: approval.id
+      }
+    };
+  }
+
+  const { error, reason: rejection } = redeemApproval(approvalId, binding);
+  if (error) {
+    logAction('dangerous_command_rejected', { requestId, command: fullCommand, approvalId, reason: rejection });
+    return { response: { content: [{ type: "text", text: `Error: ${error}` }] } };
+  }
+
+  logAction('dangerous_command_confirmed', { requestId, command: fullCommand, approvalId });
+  return prepared;
+}
+
+// Runs the checks of prepareExecution without side effects: nothing runs,
+// no confirmation token or approval is issued or used and no usage is
+// counted. Returns the report shown for execute with dryRun.
+function explainExecution({ command, args, cwd: requestedCwd, env: envOverrides, stdin: stdinInput, requestId, caller }) {
+  const checks = [];
+  const report = { dryRun: true, command, wouldRun: false, checks };
+  const check = (name, error, detail) => {
+    checks.push({ check: name, status: error ? 'fail' : 'pass', detail: error || detail });
+    return !error;
+  };
+  const skip = (name, detail) => checks.push({ check: name, status: 'skip', detail });
+
+  const cmdConfig = loadCommands().find(c => c.name === command);
+  if (!check('lookup', cmdConfig ? null : `Unknown command "${command}"`, 'found in the commands file')) {
+    return report;
+  }
+  check('enabled', cmdConfig.enabled ? null : `Command "${command}" is disabled`, 'enabled');
+  // A caller who may not run the command learns nothing more about it
+  if (!check('permission', checkCommandPermission(caller, cmdConfig), `role "${caller.role}" may run it`)) {
+    return report;
+  }
+  report.config = structuredClone(cmdConfig);
+
+  const { argv, values, error: argsError } = validateArgs(cmdConfig, args);
+  if (check('arguments', argsError, argv && `${argv.length} argument(s) allowed by argSchema`)) {
+    report.parsedArgs = values;
+    report.argv = argv;
+    report.commandLine = formatCommandLine(command, argv);
+  }
+
+  if (stdinInput !== undefined) {
+    const { stdin, error: stdinError } = checkStdinInput(cmdConfig, stdinInput);
+    if (check('stdin', stdinError, stdin && `${stdin.bytes} byte(s) accepted`)) {
+      report.stdin = { bytes: stdin.bytes, sha256: stdin.sha256 };
+    }
+  }
+
+  if (!cmdConfig.steps) {
+    const variant = getPlatformVariant(cmdConfig);
+    const platformError = variant ? null : resolveInvocation(cmdConfig, [], {}).error;
+    if (check('platform', platformError, `runs ${variant?.executable} on ${process.platform}`) && !argsError) {
+      const invocation = resolveInvocation(cmdConfig, argv, values);
+      report.executable = invocation.executable;
+      report.argv = invocation.argv;
+      report.commandLine = formatCommandLine(invocation.executable, invocation.argv);
+    }
+  }
+
+  let stepConfigs = [];
+  if (cmdConfig.steps) {
+    if (argsError) {
+      skip('steps', 'arguments are invalid');
+    } else {
+      const { steps, error: stepError } = preparePipelineSteps(cmdConfig, values, { caller, requestedCwd, envOverrides });
+      if (check('steps', stepError, `${cmdConfig.steps.length} step(s) allowed`)) {
+        report.steps = steps.map(step => ({
+          command: step.cmdConfig.name,
+          executable: step.executable,
+          argv: step.argv,
+          commandLine: step.fullCommand,
+          cwd: step.cwd || process.cwd(),
+          backend: step.invocation.backend,
+          envKeys: Object.keys(step.env).sort(),
+          continueOnFailure: step.continueOnFailure
+        }));
+        stepConfigs = steps.map(step => step.cmdConfig);
+      }
+    }
+  } else {
+    const { cwd, error: cwdError } = resolveWorkingDirectory(cmdConfig, requestedCwd);
+    if (check('cwd', cwdError, 'allowed')) report.cwd = cwd || process.cwd();
+
+    const { env, explicitNames, error: envError } = buildCommandEnv(cmdConfig, envOverrides);
+    if (check('env', envError, 'allowed')) report.envKeys = Object.keys(env).sort();
+
+    if (report.executable && !cwdError && !envError) {
+      const invocation = buildSandboxInvocation(cmdConfig, report.executable, report.argv, { cwd, env, explicitNames });
+      if (check('sandbox', invocation.error, `backend ${invocation.backend}`)) {
+        report.sandbox = { backend: invocation.backend, commandLine: formatCommandLine(invocation.command, invocation.argv) };
+      }
+    } else {
+      skip('sandbox', 'depends on the arguments, platform, cwd and env checks');
+    }
+  }
+
+  const limitTargets = [cmdConfig, ...stepConfigs]
+    .filter((target, index, all) => all.findIndex(other => other.name === target.name) === index);
+  const rateLimit = checkRateLimits(limitTargets, caller, requestId);
+  check('rateLimit', rateLimit?.error, 'within limits');
+  report.limits = { ...resolveExecutionLimits(cmdConfig), ...resolveRateLimits(cmdConfig) };
+
+  const confirmationTargets = limitTargets.filter(c => c.dangerous);
+  report.confirmation = {
+    required: confirmationTargets.length > 0,
+    mode: confirmationTargets.length === 0 ? null
+      : confirmationTargets.some(c => getConfirmationMode(c) === "approval") ? "approval" : "token"
+  };
+
+  report.wouldRun = checks.every(c => c.status === 'pass');
+  return report;
+}
+
+function formatDryRunReport(report) {
+  let outcome = report.wouldRun ? 'would run' : 'would be rejected';
+  if (report.wouldRun && report.confirmation.required) {
+    outcome = `would run after ${report.confirmation.mode === "approval" ? 'human approval' : 'confirmation'}`;
+  }
+  const lines = [`Dry run of "${report.command}": ${outcome}`];
+  if (report.commandLine) lines.push(`Command line: ${report.commandLine}`);
+  if (report.argv) lines.push(`Argv: ${JSON.stringify(report.argv)}`);
+  if (report.parsedArgs && Object.keys(report.parsedArgs).length > 0) {
+    lines.push(`Parsed arguments: ${JSON.stringify(report.parsedArgs)}`);
+  }
+  if (report.cwd) lines.push(`Working directory: ${report.cwd}`);
+  if (report.envKeys) lines.push(`Environment: ${report.envKeys.join(', ') || '(empty)'}`);
+  if (report.sandbox) lines.push(`Sandbox: ${report.sandbox.backend} (${report.sandbox.commandLine})`);
+  for (const [index, step] of (report.steps || []).entries()) {
+    lines.push(`Step ${index + 1}: ${step.cwd}$ ${step.commandLine}${step.continueOnFailure ? ' (continues on failure)' : ''}`);
+  }
+  if (report.confirmation) {
+    lines.push(`Confirmation: ${report.confirmation.required ? `required (${report.confirmation.mode})` : 'not required'}`);
+  }
+  if (report.limits) {
+    lines.push(`Limits: timeout ${report.limits.timeoutMs}ms, output ${report.limits.maxOutputBytes} bytes (${report.limits.truncate}), ` +
+               `${report.limits.callsPerMinute || 'unlimited'} calls/min, ${report.limits.maxConcurrent || 'unlimited'} concurrent`);
+  }
+  lines.push('', 'Checks:');
+  for (const { check, status, detail } of report.checks) {
+    lines.push(`  ${status.toUpperCase()} ${check}: ${detail}`);
+  }
+  if (report.config) lines.push('', `Config: ${JSON.stringify(report.config, null, 2)}`);
+  return lines.join('\n');
+}
+
+// 1. Command Execution Tool
+defineTool("execute", {
+  command: z.string().min(1).max(200),
+  args: z.union([z.string(), z.array(z.string())]).optional(),
+  cwd: z.string().optional(),
+  env: z.record(z.string()).optional(),
+  confirmationToken: z.string().optional(),
+  approvalId: z.string().optional(),
+  stdin: z.string().optional(),
+  reason: z.string().max(500).optional(),
+  dryRun: z.boolean().optional().default(false),
+  requestId: z.string().optional()
+}, async ({ command, args, cwd: requestedCwd, env: envOverrides, stdin, confirmationToken, approvalId, reason, dryRun, requestId }, { caller, signal }) => {
+  const startTime = Date.now();
+  let fullCommand = Array.isArray(args) ? formatCommandLine(command, args) : (args ? `${command} ${args}` : command);
+  let releaseUsage = null;
+  
+  try {
+    if (dryRun) {
+      const report = explainExecution({ command, args, cwd: requestedCwd, env: envOverrides, stdin, requestId, caller });
+      logAction('command_dry_run', {
+        requestId,
+        command: report.commandLine || fullCommand,
+        wouldRun: report.wouldRun,
+        failedChecks: report.checks.filter(c => c.status === 'fail').map(c => c.check)
+      });
+      return {
+        content: [{ type: "text", text: formatDryRunReport(report) }],
+        structuredContent: report
+      };
+    }
+
+    const prepared = prepareExecution({
+      tool: "execute",
+      command,
+      args,
+      cwd: requestedCwd,
+      env: envOverrides,
+      stdin,
+      confirmationToken,
+      approvalId,
+      approvalReason: reason,
+      requestId,
+      caller
+    });
+    if (prepared.response) return prepared.response;
+
+    fullCommand = prepared.fullCommand;
+    const usage = acquireUsage(prepared.limitTargets, caller, requestId);
+    if (usage.rateLimit) return rateLimitedResponse(usage.rateLimit, { requestId, fullCommand, caller });
+    releaseUsage = usage.release;
+    if (prepared.steps) {
+      const structured = await runPipeline(prepared, { requestId, signal, envOverrides });
+      return {
+        content: [{ type: "text", text: formatPipelineResult(structured) }],
+        structuredContent: structured
+      };
+    }
+
+    const { cmdConfig, cwd, invocation } = prepared;
+    const runCwd = cwd || process.cwd();
+    const limits = resolveExecutionLimits(cmdConfig);
+    const result = await runCommand(invocation.command, invocation.argv, {
+      ...limits,
+      signal,
+      ...invocation.spawnOptions,
+      ...resolveStdinOptions(cmdConfig, prepared.stdin),
+      redactionRules: getRedactionRules(cmdConfig)
+    });
+    const executionTime = Date.now() - startTime;
+    const structured = buildExecutionResult(fullCommand, result, limits, executionTime, runCwd);
+    logExecutionResult(result, {
+      requestId,
+      fullCommand,
+      limits,
+      executionTime,
+      name: cmdConfig.name,
+      redactions: result.redactions || undefined,
+      backend: invocation.backend,
+      cwd: runCwd,
+      envOverrides: envOverrides ? Object.keys(envOverrides) : undefined,
+      stdin: prepared.stdin ? { bytes: prepared.stdin.bytes, sha256: prepared.stdin.sha256 } : undefined
+    });
+
+    return {
+      content: [{ type: "text", text: formatExecutionResult(structured) }],
+      structuredContent: structured
+    };
+  } catch (error) {
+    const executionTime = Date.now() - startTime;
+    logAction('command_failed', {
+      requestId,
+      command: fullCommand,
+      name: command,
+      status: 'error',
+      error: error.message,
+      executionTime
+    });
+    return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+  } finally {
+    releaseUsage?.();
+  }
+});
+
+// 2. Command Query Tool
+defineTool("queryCommands", {
+  filter: z.enum(["all", "enabled", "disabled", "dangerous", "pipelines"]).optional().default("enabled"),
+  tag: z.union([z.string(), z.array(z.string())]).optional(),
+  detailed: z.boolean().optional().default(false),
+  requestId: z.string().optional()
+}, async ({ filter, tag, detailed, requestId }, { caller }) => {
+  try {
+    const commands = loadCommands();
+    
+    let filteredCommands = commands;
+    if (filter === "enabled") filteredCommands = commands.filter(c => c.enabled && isAvailableOnHost(c));
+    else if (filter === "disabled") filteredCommands = commands.filter(c => !c.enabled);
+    else if (filter === "dangerous") filteredCommands = commands.filter(c => c.dangerous);
+    else if (filter === "pipelines") filteredCommands = commands.filter(c => c.steps);
+
+    // Several tags match commands carrying any of them
+    const tags = tag === undefined ? [] : [].concat(tag);
+    if (tags.length > 0) {
+      filteredCommands = filteredCommands.filter(c => (c.tags || []).some(t => tags.includes(t)));
+    }
+    
+    const commandList = filteredCommands.map(c => {
+      let info = `${c.name}${c.dangerous ? ' ⚠️' : ''}${!c.enabled ? ' (disabled)' : ''}` +
+                 (!isAvailableOnHost(c) ? ` (not available on ${process.platform})` : '') +
+                 (c.tags?.length ? ` [${c.tags.join(', ')}]` : '');
+      if (detailed) {
+        info += `\nDescription: ${c.description}` +
+                `\nExample: ${c.example}` +
+                `\nArguments: ${describeArgSchema(c.argSchema)}` +
+                (c.platforms ? `\nPlatforms: ${describePlatforms(c)}` : '') +
+                (c.steps ? `\nSteps: ${c.steps.map(step => formatCommandLine(step.command, step.args || [])).join(' → ')}` : '') +
+                (c.dangerous ? `\nConsequences: ${c.consequences}` : '') +
+                `\nUsage: ${describeUsage(c)}`;
+      }
+      return info;
+    });
+    
+    logAction('commands_queried', {
+      requestId,
+      filter,
+      tags: tags.length > 0 ? tags : undefined,
+      count: filteredCommands.length
+    });
+
+    let quotaLine = '';
+    if (detailed) {
+      const quota = getDailyQuota(caller);
+      const quotaKey = getQuotaKey(caller, requestId);
+      quotaLine = `Daily quota (${quotaKey}): ${getQuotaUsage(quotaKey).count}/${quota || 'unlimited'} executions used today\n\n`;
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: (activeConfigVersion !== null ? `Config version: ${activeConfigVersion}\n` : '') + quotaLine +
+              `Available commands (${filter}${tags.length > 0 ? `, tagged ${tags.join('|')}` : ''}, ${filteredCommands.length}):\n\n${commandList.join('\n\n')}`
+      }],
+      structuredContent: { configVersion: activeConfigVersion }
+    };
+  } catch (error) {
+    logAction('query_failed', {
+      requestId,
+      error: error.message
+    });
+    return {
+      content: [{
+        type: "text",
+        text: `Query failed: ${error.message}`
+      }]
+    };
+  }
+});
+
+// 3. Command Management Tool
+// Optional per-command settings that add and update copy as given
+const COMMAND_SETTING_KEYS = ["argSchema", ...EXECUTION_LIMIT_KEYS, "cwd", "allowedCwdRoots", "env", "confirmation", "tags", "steps", "platforms", "sandbox", "redact", "stdin", ...RATE_LIMIT_KEYS];
+
+// Actions that change the config. They run under the config lock against the
+// file as it is on disk, and fail when it is not at `expectedVersion`.
+const CONFIG_CHANGE_ACTIONS = ["add", "update", "remove", "enable", "disable", "rollback", "importCommands"];
+
+defineTool("manageCommand", {
+  action: z.enum(["add", "update", "remove", "enable", "disable", "list", "history", "diff", "rollback", "importCommands", "exportCommands"]),
+  name: z.string().min(1).max(50).optional(),
+  description: z.string().optional(),
+  example: z.string().optional(),
+  dangerous: z.boolean().optional(),
+  confirmationPrompt: z.string().optional(),
+  consequences: z.string().optional(),
+  enabled: z.boolean().optional(),
+  argSchema: argSchemaSpec.nullable().optional(),
+  timeoutMs: z.number().int().nonnegative().nullable().optional(),
+  maxOutputBytes: z.number().int().positive().nullable().optional(),
+  truncate: z.enum(["head", "tail"]).nullable().optional(),
+  jobTimeoutMs: z.number().int().nonnegative().nullable().optional(),
+  maxConcurrentJobs: z.number().int().positive().nullable().optional(),
+  cwd: z.string().nullable().optional(),
+  allowedCwdRoots: z.array(z.string()).nullable().optional(),
+  env: envPolicySpec.nullable().optional(),
+  confirmation: z.enum(["token", "approval"]).nullable().optional(),
+  tags: z.array(z.string()).nullable().optional(),
+  steps: z.array(pipelineStepSpec).nullable().optional(),
+  platforms: z.record(z.enum(PLATFORM_KEYS), platformVariantSpec).nullable().optional(),
+  sandbox: sandboxSpec.nullable().optional(),
+  redact: redactSpec.nullable().optional(),
+  stdin: stdinSpec.nullable().optional(),
+  callsPerMinute: z.number().int().nonnegative().nullable().optional(),
+  maxConcurrent: z.number().int().nonnegative().nullable().optional(),
+  version: z.number().int().positive().optional(),
+  compareTo: z.number().int().positive().optional(),
+  limit: z.number().int().positive().max(500).optional().default(20),
+  expectedVersion: z.number().int().positive().optional(),
+  commands: z.array(z.object({ name: z.string() }).passthrough()).optional(),
+  overwrite: z.boolean().optional().default(false),
+  requestId: z.string().optional()
+}, async (params) => {
+  const { action, requestId } = params;
+  let commands, message, updated = false;
+  let rolledBack = [];
+  let overwritten = [];
+  let releaseConfigLock = null;
+  
+  try {
+    if (CONFIG_CHANGE_ACTIONS.includes(action)) {
+      releaseConfigLock = acquireFileLock(CONFIG_LOCK_FILE);
+      // Another process may have saved since our watcher last fired
+      reloadCommands('before_change');
+      if (params.expectedVersion !== undefined && params.expectedVersion !== activeConfigVersion) {
+        logAction('management_conflict', {
+          requestId,
+          action,
+          name: params.name,
+          expectedVersion: params.expectedVersion,
+          currentVersion: activeConfigVersion ?? undefined
+        });
+        return {
+          content: [{
+            type: "text",
+            text: `Error: Conflict, the config is at version ${activeConfigVersion ?? '(unknown)'}, not ${params.expectedVersion}. ` +
+                  `Read it again with queryCommands and retry.`
+          }],
+          isError: true,
+          structuredContent: { conflict: true, configVersion: activeConfigVersion }
+        };
+      }
+    }
+
+    commands = loadCommands();
+    
+    switch (action) {
+      case "add":
+        if (!params.name) {
+          message = "Error: Command name is required";
+          break;
+        }
+        
+        if (commands.some(c => c.name === params.name)) {
+          message = `Error: Command "${params.name}" already exists`;
+          break;
+        }
+        
+        const newCmd = {
+          name: params.name,
+          description: params.description || "No description",
+          example: params.example || "No example",
+          dangerous: params.dangerous || false,
+          enabled: params.enabled ?? (!params.dangerous),
+          confirmationPrompt: params.dangerous ? 
+            (params.confirmationPrompt || "Confirm execution of this dangerous operation?") : "",
+          consequences: params.dangerous ? 
+            (params.consequences || "May cause system damage or data loss") : ""
+        };
+        for (const key of COMMAND_SETTING_KEYS) {
+          if (params[key] !== undefined && params[key] !== null) {
+            newCmd[key] = params[key];
+          }
+        }
+        
+        commands.push(newCmd);
+        updated = true;
+        message = `Added command: ${params.name}`;
+        logAction('command_added', {
+          requestId,
+          name: params.name,
+          dangerous: newCmd.dangerous,
+          enabled: newCmd.enabled
+        });
+        break;
+        
+      case "update":
+        if (!params.name) {
+          message = "Error: Command name is required";
+          break;
+        }
+        
+        const cmdIndex = commands.findIndex(c => c.name === params.name);
+        if (cmdIndex === -1) {
+          message = `Error: Command "${params.name}" not found`;
+          break;
+        }
+        
+        const cmd = commands[cmdIndex];
+        const changes = {};
+        
+        if (params.description !== undefined) {
+          changes.description = params.description;
+          cmd.description = params.description;
+        }
+        if (params.example !== undefined) {
+          changes.example = params.example;
+          cmd.example = params.example;
+        }
+        if (params.enabled !== undefined) {
+          changes.enabled = params.enabled;
+          cmd.enabled = params.enabled;
+        }
+        // null removes the setting so the global default applies again
+        for (const key of COMMAND_SETTING_KEYS) {
+          if (params[key] === undefined) continue;
+          changes[key] = params[key];
+          if (params[key] === null) {
+            delete cmd[key];
+          } else {
+            cmd[key] = params[key];
+          }
+        }
+        
+        if (params.dangerous !== undefined) {
+          changes.dangerous = params.dangerous;
+          cmd.dangerous = params.dangerous;
+          
+          if (params.dangerous) {
+            cmd.confirmationPrompt = params.confirmationPrompt || cmd.confirmationPrompt;
+            cmd.consequences = params.consequences || cmd.consequences;
+          } else {
+            cmd.confirmationPrompt = "";
+            cmd.consequences = "";
+          }
+        }
+        
+        updated = true;
+        message = `Updated command: ${params.name}`;
+        logAction('command_updated', {
+          requestId,
+          name: params.name,
+          changes
+        });
+        break;
+        
+      case "remove":
+        if (!params.name) {
+          message = "Error: Command name is required";
+          break;
+        }
+        
+        const removeIndex = commands.findIndex(c => c.name === params.name);
+        if (removeIndex === -1) {
+          message = `Error: Command "${params.name}" not found`;
+          break;
+        }
+        
+        const removedCmd = commands[removeIndex];
+        commands.splice(removeIndex, 1);
+        updated = true;
+        message = `Removed command: ${params.name}`;
+        logAction('command_removed', {
+          requestId,
+          name: params.name,
+          wasDangerous: removedCmd.dangerous
+        });
+        break;
+        
+      case "enable":
+        if (!params.name) {
+          message = "Error: Command name is required";
+          break;
+        }
+        
+        const enableCmd = commands.find(c => c.name === params.name);
+        if (!enableCmd) {
+          message = `Error: Command "${params.name}" not found`;
+          break;
+        }
+        
+        enableCmd.enabled = true;
+        updated = true;
+        message = `Enabled command: ${params.name}`;
+        logAction('command_enabled', {
+          requestId,
+          name: params.name
+        });
+        break;
+        
+      case "disable":
+        if (!params.name) {
+          message = "Error: Command name is required";
+          break;
+        }
+        
+        const disableCmd = commands.find(c => c.name === params.name);
+        if (!disableCmd) {
+          message = `Error: Command "${params.name}" not found`;
+          break;
+        }
+        
+        disableCmd.enabled = false;
+        updated = true;
+        message = `Disabled command: ${params.name}`;
+        logAction('command_disabled', {
+          requestId,
+          name: params.name
+        });
+        break;
+        
+      case "list":
+        const enabledCount = commands.filter(c => c.enabled).length;
+        const dangerousCount = commands.filter(c => c.dangerous).length;
+        message = `Total commands: ${commands.length}\nEnabled: ${enabledCount}\nDangerous: ${dangerousCount}`;
+        logAction('command_listed', {
+          requestId,
+          total: commands.length,
+          enabled: enabledCount,
+          dangerous: dangerousCount
+        });
+        break;
+
+      case "history": {
+        // With a name, only versions that changed that command are listed
+        const versions = listConfigVersions().reverse();
+        const entries = [];
+        for (const version of versions) {
+          if (entries.length >= params.limit) break;
+          const snapshot = readConfigVersion(version);
+          if (params.name) {
+            const previous = readConfigVersion(version - 1);
+            const entryOf = (config) => JSON.stringify(config?.commands.find(c => c.name === params.name));
+            if (previous && entryOf(previous) === entryOf(snapshot)) continue;
+            if (!previous && !snapshot.commands.some(c => c.name === params.name)) continue;
+          }
+          entries.push(describeConfigVersion(snapshot));
+        }
+        message = entries.length > 0
+          ? `Config versions${params.name ? ` changing ${params.name}` : ''} (newest first):\n${entries.join('\n')}`
+          : 'No config versions recorded';
+        logAction('config_history_listed', { requestId, name: params.name, count: entries.length });
+        break;
+      }
+
+      case "diff": {
+        if (!params.version) {
+          message = "Error: version is required";
+          break;
+        }
+        const from = readConfigVersion(params.version);
+        const to = params.compareTo ? readConfigVersion(params.compareTo) : { version: activeConfigVersion, commands };
+        if (!from || !to) {
+          message = `Error: Config version ${!from ? params.version : params.compareTo} not found`;
+          break;
+        }
+        let changes = diffCommandConfigs(from.commands, to.commands);
+        if (params.name) changes = changes.filter(change => change.name === params.name);
+        message = `Diff v${from.version} -> ${params.compareTo ? `v${to.version}` : 'current'}:\n${formatConfigDiff(changes)}`;
+        logAction('config_diffed', { requestId, version: params.version, compareTo: params.compareTo, name: params.name });
+        break;
+      }
+
+      case "rollback": {
+        if (!params.version) {
+          message = "Error: version is required";
+          break;
+        }
+        const snapshot = readConfigVersion(params.version);
+        if (!snapshot) {
+          message = `Error: Config version ${params.version} not found`;
+          break;
+        }
+
+        const previous = commands;
+        if (params.name) {
+          // Restores one entry, or removes it if it did not exist in that version
+          const restored = snapshot.commands.find(c => c.name === params.name);
+          const index = commands.findIndex(c => c.name === params.name);
+          if (!restored && index === -1) {
+            message = `Error: Command "${params.name}" exists neither in v${params.version} nor now`;
+            break;
+          }
+          commands = commands.filter(c => c.name !== params.name);
+          if (restored) commands.splice(index === -1 ? commands.length : index, 0, restored);
+        } else {
+          commands = structuredClone(snapshot.commands);
+        }
+
+        rolledBack = diffCommandConfigs(previous, commands).map(change => change.name);
+        if (rolledBack.length === 0) {
+          message = `Nothing to roll back, ${params.name || 'the config'} already matches v${params.version}`;
+          break;
+        }
+        updated = true;
+        message = `Rolled back ${params.name || 'config'} to v${params.version}, changed: ${rolledBack.join(', ')}`;
+        logAction('config_rolled_back', { requestId, version: params.version, name: params.name, changed: rolledBack });
+        break;
+      }
+
+      case "importCommands": {
+        if (!params.commands?.length) {
+          message = "Error: commands is required";
+          break;
+        }
+        const batchNames = params.commands.map(entry => entry.name);
+        const duplicates = [...new Set(batchNames.filter((name, index) => batchNames.indexOf(name) !== index))];
+        if (duplicates.length > 0) {
+          message = `Error: Duplicate command name(s) in commands: ${duplicates.join(', ')}`;
+          break;
+        }
+        const imported = [];
+        const skipped = [];
+        const dangerousImports = [];
+        for (const entry of params.commands) {
+          const index = commands.findIndex(c => c.name === entry.name);
+          if (index !== -1 && !params.overwrite) {
+            skipped.push(entry.name);
+            continue;
+          }
+          // Imported entries stay disabled until someone reviews and enables them
+          const disabled = { ...entry, enabled: false };
+          if (index === -1) {
+            commands.push(disabled);
+          } else {
+            commands[index] = disabled;
+            overwritten.push(entry.name);
+          }
+          imported.push(entry.name);
+          if (entry.dangerous) dangerousImports.push(entry.name);
+        }
+        if (imported.length === 0) {
+          message = `Nothing imported, all ${skipped.length} command(s) already exist (pass overwrite to replace them)`;
+          break;
+        }
+        updated = true;
+        message = `Imported ${imported.length} command(s), disabled until reviewed and enabled: ${imported.join(', ')}` +
+                  (overwritten.length ? `\nReplaced: ${overwritten.join(', ')}` : '') +
+                  (skipped.length ? `\nSkipped, already configured: ${skipped.join(', ')}` : '');
+        logAction('commands_imported', {
+          requestId,
+          names: imported,
+          // `dangerous` matches command_added, so one notification route covers both
+          dangerous: dangerousImports.length > 0,
+          dangerousNames: dangerousImports.length ? dangerousImports : undefined,
+          overwritten: overwritten.length ? overwritten : undefined,
+          skipped: skipped.length ? skipped : undefined
+        });
+        break;
+      }
+
+      case "exportCommands": {
+        // `name` may be a glob; entries are exported as configured
+        const selected = params.name ? commands.filter(c => matchesGlob(c.name, params.name)) : commands;
+        message = JSON.stringify({
+          exportedAt: new Date().toISOString(),
+          host: os.hostname(),
+          configVersion: activeConfigVersion,
+          commands: selected
+        }, null, 2);
+        logAction('commands_exported', { requestId, name: params.name, count: selected.length });
+        break;
+      }
+    }
+    
+    const { errors: configErrors } = updated ? validateCommands(commands) : { errors: [] };
+    if (configErrors.length > 0) {
+      updated = false;
+      message = `Error: Change rejected, the resulting config would be invalid:\n${configErrors.join('\n')}`;
+      logAction('management_rejected', { requestId, action, name: params.name, errors: configErrors });
+    } else if (updated && !saveCommands(commands, {
+      action,
+      name: params.name,
+      requestId,
+      fromVersion: action === "rollback" ? params.version : undefined
+    })) {
+      message = "Operation succeeded but failed to save config";
+    } else if (updated && activeConfigVersion !== null) {
+      message += `\nConfig version: ${activeConfigVersion}`;
+    }
+
+    // Outstanding confirmations were issued against the old definition
+    if (updated && ["update", "remove", "disable"].includes(action)) {
+      revokeConfirmationTokens((token, record) => record.command === params.name, `command_${action}d`);
+    } else if (updated && action === "rollback") {
+      revokeConfirmationTokens((token, record) => rolledBack.includes(record.command), 'config_rolled_back');
+    } else if (updated && overwritten.length > 0) {
+      revokeConfirmationTokens((token, record) => overwritten.includes(record.command), 'commands_imported');
+    }
+    
+    return {
+      content: [{
+        type: "text",
+        text: message
+      }],
+      structuredContent: { configVersion: activeConfigVersion }
+    };
+  } catch (error) {
+    logAction('management_failed', {
+      requestId,
+      action,
+      error: error.message
+    });
+    return {
+      content: [{
+        type: "text",
+        text: `Management operation failed: ${error.message}`
+      }]
+    };
+  } finally {
+    releaseConfigLock?.();
+  }
+});
+
+// 4. Log Query Tool
+defineTool("queryLogs", {
+  limit: z.number().int().positive().max(1000).optional().default(100),
+  filter: z.string().optional(),
+  since: z.string().optional(),
+  until: z.string().optional(),
+  action: z.union([z.string(), z.array(z.string())]).optional(),
+  status: z.string().optional(),
+  entryRequestId: z.string().optional(),
+  command: z.string().optional(),
+  cursor: z.string().optional(),
+  format: z.enum(["text", "json"]).optional().default("text"),
+  requestId: z.string().optional()
+}, async ({ limit, filter, since, until, action, status, entryRequestId, command, cursor, format, requestId }) => {
+  try {
+    if (!fs.existsSync(LOGS_DIR)) {
+      return {
+        content: [{
+          type: "text",
+          text: "No logs available - log directory not found"
+        }]
+      };
+    }
+
+    const sinceTime = since ? parseTimeBound(since, 'since') : undefined;
+    const untilTime = until ? parseTimeBound(until, 'until') : undefined;
+    const matches = buildLogEntryFilter({
+      filter,
+      since: sinceTime,
+      until: untilTime,
+      actions: action === undefined ? undefined : [].concat(action),
+      status,
+      entryRequestId,
+      command
+    });
+
+    const allLogs = [];
+    let nextCursor = null;
+    
+    for await (const item of readLogEntriesReverse({
+      cursor: cursor ? decodeLogCursor(cursor) : undefined,
+      sinceDate: sinceTime !== undefined ? dateBoundString(sinceTime, -1) : undefined,
+      untilDate: untilTime !== undefined ? dateBoundString(untilTime, 1) : undefined
+    })) {
+      if (!matches(item.entry)) continue;
+      allLogs.push(item.entry);
+      if (allLogs.length >= limit) {
+        nextCursor = encodeLogCursor(item.cursor);
+        break;
+      }
+    }
+    
+    logAction('logs_queried', {
+      requestId,
+      count: allLogs.length,
+      filter,
+      query: { since, until, action, status, entryRequestId, command, cursor: Boolean(cursor), format }
+    });
+
+    if (format === "json") {
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({ count: allLogs.length, nextCursor, entries: allLogs }, null, 2)
+        }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Recent ${allLogs.length} log entries:\n\n${allLogs.map(formatLogEntry).join('\n')}` +
+              (nextCursor ? `\n\nMore entries available, pass cursor: ${nextCursor}` : '')
+      }]
+    };
+  } catch (error) {
+    logAction('log_query_failed', {
+      requestId,
+      error: error.message
+    });
+    return {
+      content: [{
+        type: "text",
+        text: `Log query failed: ${error.message}`
+      }]
+    };
+  }
+});
+
+// 5. Log Verification Tool
+defineTool("verifyLogs", {
+  requestId: z.string().optional()
+}, async ({ requestId }) => {
+  try {
+    const report = await verifyLogChain();
+    logAction(report.ok ? 'logs_verified' : 'logs_verification_failed', {
+      requestId,
+      entries: report.entries,
+      lastSeq: report.lastSeq,
+      problem: report.problem || undefined
+    });
+    return {
+      content: [{ type: "text", text: formatVerifyReport(report) }],
+      structuredContent: report
+    };
+  } catch (error) {
+    return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+  }
+});
+
+// 6. Confirmation Revocation Tool
+defineTool("revokeConfirmation", {
+  token: z.string().optional(),
+  command: z.string().optional(),
+  all: z.boolean().optional().default(false),
+  requestId: z.string().optional()
+}, async ({ token, command, all, requestId }) => {
+  if (!token && !command && !all) {
+    return { content: [{ type: "text", text: "Error: Specify a token, a command or all=true" }] };
+  }
+
+  const count = revokeConfirmationTokens(
+    (pendingToken, record) => all || pendingToken === token || record.command === command,
+    'revoked_by_request'
+  );
+
+  logAction('confirmations_revoked', { requestId, command, all, count });
+
+  return {
+    content: [{
+      type: "text",
+      text: `Revoked ${count} pending confirmation token${count === 1 ? '' : 's'}`
+    }]
+  };
+});
+
+// 7. Approval Tools
+defineTool("approvalStatus", {
+  approvalId: z.string().optional(),
+  waitMs: z.number().int().nonnegative().max(5 * 60 * 1000).optional().default(0),
+  requestId: z.string().optional()
+}, async ({ approvalId, waitMs }, { caller, signal }) => {
+  try {
+    if (!approvalId) {
+      const visible = listApprovals()
+        .filter(approval => approval.callerId === caller.id || caller.role === 'admin');
+      return {
+        content: [{
+          type: "text",
+          text: `Approvals (${visible.length}):\n\n${visible.map(formatApproval).join('\n')}`
+        }]
+      };
+    }
+
+    const approval = await waitForApprovalDecision(approvalId, waitMs, signal);
+    if (!approval || (approval.callerId !== caller.id && caller.role !== 'admin')) {
+      return { content: [{ type: "text", text: `Error: Unknown approval "${approvalId}"` }] };
+    }
+    return {
+      content: [{ type: "text", text: formatApproval(approval) + (approval.note ? `\nNote: ${approval.note}` : '') }],
+      approvalStatus: approval.status
+    };
+  } catch (error) {
+    return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+  }
+});
+
+defineTool("decideApproval", {
+  approvalId: z.string(),
+  decision: z.enum(["approve", "deny"]),
+  note: z.string().max(500).optional(),
+  requestId: z.string().optional()
+}, async ({ approvalId, decision, note }, { caller }) => {
+  try {
+    const { approval, error } = decideApproval(approvalId, decision, caller, note);
+    if (error) {
+      return { content: [{ type: "text", text: `Error: ${error}` }] };
+    }
+    return { content: [{ type: "text", text: formatApproval(approval) }] };
+  } catch (error) {
+    return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+  }
+});
+
+// 8. Background Job Tools
+defineTool("startJob", {
+  command: z.string().min(1).max(200),
+  args: z.union([z.string(), z.array(z.string())]).optional(),
+  cwd: z.string().optional(),
+  env: z.record(z.string()).optional(),
+  confirmationToken: z.string().optional(),
+  approvalId: z.string().optional(),
+  reason: z.string().max(500).optional(),
+  requestId: z.string().optional()
+}, async ({ command, args, cwd: requestedCwd, env: envOverrides, confirmationToken, approvalId, reason, requestId }, { caller }) => {
+  try {
+    const prepared = prepareExecution({
+      tool: "startJob",
+      command,
+      args,
+      cwd: requestedCwd,
+      env: envOverrides,
+      confirmationToken,
+      approvalId,
+      approvalReason: reason,
+      requestId,
+      caller
+    });
+    if (prepared.response) return prepared.response;
+
+    const { cmdConfig, invocation, fullCommand, cwd } = prepared;
+    const usage = acquireUsage(prepared.limitTargets, caller, requestId);
+    if (usage.rateLimit) return rateLimitedResponse(usage.rateLimit, { requestId, fullCommand, caller });
+    const job = startBackgroundJob({ cmdConfig, invocation, fullCommand, cwd, requestId, caller });
+    job.handle.done.finally(usage.release).catch(() => {});
+    return {
+      content: [{
+        type: "text",
+        text: `Started job ${job.id}: ${fullCommand}\n` +
+              `Poll with jobStatus, read output with jobOutput, stop with killJob, or read job://${job.id}`
+      }]
+    };
+  } catch (error) {
+    logAction('job_start_failed', { requestId, command, error: error.message });
+    return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+  }
+});
+
+defineTool("jobStatus", {
+  jobId: z.string().optional(),
+  requestId: z.string().optional()
+}, async ({ jobId }, { caller }) => {
+  if (!jobId) {
+    const visible = [...jobs.values()].filter(job => canAccessJob(caller, job));
+    const lines = visible.map(job => {
+      const summary = getJobSummary(job);
+      return `${summary.id} [${summary.status}] ${summary.command} (${summary.durationMs}ms)`;
+    });
+    return {
+      content: [{
+        type: "text",
+        text: `Jobs (${visible.length}):\n\n${lines.join('\n')}`
+      }]
+    };
+  }
+
+  const { job, error } = findJob(jobId, caller);
+  if (error) {
+    return { content: [{ type: "text", text: `Error: ${error}` }] };
+  }
+  return { content: [{ type: "text", text: JSON.stringify(getJobSummary(job), null, 2) }] };
+});
+
+defineTool("jobOutput", {
+  jobId: z.string(),
+  stream: z.enum(["stdout", "stderr"]).optional().default("stdout"),
+  offset: z.number().int().nonnegative().optional().default(0),
+  limit: z.number().int().positive().max(1024 * 1024).optional().default(16 * 1024),
+  requestId: z.string().optional()
+}, async ({ jobId, stream, offset, limit }, { caller }) => {
+  const { job, error } = findJob(jobId, caller);
+  if (error) {
+    return { content: [{ type: "text", text: `Error: ${error}` }] };
+  }
+
+  const chunk = job.handle[stream].read(offset, limit);
+  const more = chunk.nextOffset < chunk.totalBytes || job.status === 'running';
+  return {
+    content: [{
+      type: "text",
+      text: `[job ${job.id} ${job.status}, ${stream} bytes ${chunk.offset}-${chunk.nextOffset} of ${chunk.totalBytes}` +
+            (chunk.skippedBytes ? `, ${chunk.skippedBytes} older bytes no longer buffered` : '') +
+            (more ? `, continue with offset ${chunk.nextOffset}` : ', end of output') +
+            `]\n${chunk.data}`
+    }]
+  };
+});
+
+defineTool("killJob", {
+  jobId: z.string(),
+  requestId: z.string().optional()
+}, async ({ jobId, requestId }, { caller }) => {
+  const { job, error } = findJob(jobId, caller);
+  if (error) {
+    return { content: [{ type: "text", text: `Error: ${error}` }] };
+  }
+  if (job.status !== 'running') {
+    return { content: [{ type: "text", text: `Job ${job.id} is not running (${job.status})` }] };
+  }
+
+  job.handle.terminate('killed');
+  logAction('job_killed', { requestId, jobId: job.id, command: job.commandLine });
+  return { content: [{ type: "text", text: `Killing job ${job.id}: ${job.commandLine}` }] };
+});
+
+// 9. Usage Statistics Tool
+defineTool("commandStats", {
+  since: z.string().optional().default(DEFAULT_STATS_WINDOW),
+  until: z.string().optional(),
+  command: z.string().optional(),
+  format: z.enum(["text", "json", "prometheus"]).optional().default("text"),
+  requestId: z.string().optional()
+}, async ({ since, until, command, format, requestId }) => {
+  try {
+    const sinceTime = parseTimeBound(since, 'since');
+    const untilTime = until ? parseTimeBound(until, 'until') : undefined;
+    const report = {
+      since: new Date(sinceTime).toISOString(),
+      until: untilTime !== undefined ? new Date(untilTime).toISOString() : undefined,
+      commands: await collectCommandStats({ since: sinceTime, until: untilTime, command })
+    };
+
+    logAction('stats_queried', { requestId, since, until, command, format, count: report.commands.length });
+
+    const text = format === "prometheus" ? formatPrometheusStats(report)
+      : format === "json" ? JSON.stringify(report, null, 2)
+      : formatCommandStats(report);
+    return {
+      content: [{ type: "text", text }],
+      structuredContent: report
+    };
+  } catch (error) {
+    return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+  }
+});
+
+// 10. Command Discovery Tool
+defineTool("discoverCommands", {
+  directory: z.string().min(1),
+  sources: z.array(z.enum(DISCOVERY_SOURCES)).optional().default(DISCOVERY_SOURCES),
+  binaries: z.array(z.string().min(1).regex(/^[^/\\]+$/, "must be a name, not a path")).optional(),
+  requestId: z.string().optional()
+}, async ({ directory, sources, binaries, requestId }) => {
+  try {
+    const root = path.resolve(directory);
+    if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+      return { content: [{ type: "text", text: `Error: Directory not found: ${root}` }] };
+    }
+
+    const commands = loadCommands();
+    const realRoot = fs.realpathSync(root);
+    if (!getDiscoveryRoots(commands).some(allowed => isInsideDirectory(realRoot, allowed))) {
+      logAction('discovery_rejected', { requestId, directory: root, realDirectory: realRoot });
+      return {
+        content: [{
+          type: "text",
+          text: `Error: ${root} is outside the allowed roots (the service's working directory and the commands' cwd and allowedCwdRoots)`
+        }]
+      };
+    }
+
+    const { proposals, errors } = discoverCommands(root, sources, binaries || DEFAULT_DISCOVERY_BINARIES);
+    const existing = proposals.filter(p => commands.some(c => c.name === p.name)).map(p => p.name);
+    logAction('commands_discovered', { requestId, directory: root, sources, count: proposals.length, errors: errors.length ? errors : undefined });
+
+    const lines = proposals.map(p =>
+      `${p.name}${p.dangerous ? ' ⚠️' : ''} [${p.tags[1]}]${existing.includes(p.name) ? ' (already configured)' : ''}\n` +
+      `  ${p.description}\n  Example: ${p.example}`);
+    return {
+      content: [{
+        type: "text",
+        text: `Discovered ${proposals.length} command(s) in ${root}, nothing was saved:\n\n${lines.join('\n')}` +
+              (errors.length ? `\n\nScan errors:\n${errors.join('\n')}` : '') +
+              (proposals.length ? `\n\nReview them, then pass the entries to manageCommand with action "importCommands"; they are imported disabled.` : '')
+      }],
+      structuredContent: { directory: root, proposals, existing, errors }
+    };
+  } catch (error) {
+    return { content: [{ type: "text", text: `Error: ${error.message}` }] };
+  }
+});
+
+// ======================
+// Resource Endpoints
+// ======================
+defineResource("commands", new ResourceTemplate("cmd://commands", { list: undefined }), async () => {
+  try {
+    const commands = loadCommands();
+    return {
+      contents: [{
+        uri: "cmd://commands",
+        text: JSON.stringify(commands, null, 2),
+        metadata: { "content-type": "application/json", version: activeConfigVersion }
+      }]
+    };
+  } catch (error) {
+    return {
+      contents: [{
+        uri: "cmd://commands",
+        text: `Error loading commands: ${error.message}`
+      }]
+    };
+  }
+});
+
+defineResource("command", new ResourceTemplate("cmd://command/{name}", { list: undefined }), async (uri, { name }) => {
+  try {
+    const commands = loadCommands();
+    const command = commands.find(cmd => cmd.name === name);
+    
+    if (!command) {
+      return {
+        contents: [{
+          uri: uri.href,
+          text: `Command not found: ${name}`
+        }]
+      };
+    }
+    
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify(command, null, 2),
+        metadata: { "content-type": "application/json" }
+      }]
+    };
+  } catch (error) {
+    return {
+      contents: [{
+        uri: uri.href,
+        text: `Error loading command: ${error.message}`
+      }]
+    };
+  }
+});
+
+// Same access as the commandStats tool
+defineResource("stats", new ResourceTemplate("cmd://stats", { list: undefined }), async (uri, variables, extra) => {
+  const caller = resolveCaller(extra);
+  if (!canCallTool(caller, "commandStats")) {
+    callerContext.run(caller, () => logAction('tool_forbidden', { tool: "commandStats", resource: "cmd://stats" }));
+    return {
+      contents: [{
+        uri: "cmd://stats",
+        text: `Error: Caller "${caller.id}" (role ${caller.role}) is not allowed to read command stats`
+      }]
+    };
+  }
+  try {
+    const since = parseTimeBound(DEFAULT_STATS_WINDOW, 'since');
+    const commands = await collectCommandStats({ since });
+    return {
+      contents: [{
+        uri: "cmd://stats",
+        text: JSON.stringify({ since: new Date(since).toISOString(), commands }, null, 2),
+        metadata: { "content-type": "application/json" }
+      }]
+    };
+  } catch (error) {
+    return {
+      contents: [{
+        uri: "cmd://stats",
+        text: `Error collecting stats: ${error.message}`
+      }]
+    };
+  }
+});
+
+defineResource("job", new ResourceTemplate("job://{id}", {
+  list: async (extra) => {
+    const caller = resolveCaller(extra);
+    return {
+      resources: [...jobs.values()]
+        .filter(job => canAccessJob(caller, job))
+        .map(job => ({
+          uri: `job://${job.id}`,
+          name: `Job ${job.id}: ${job.commandLine}`,
+          mimeType: "application/json"
+        }))
+    };
+  }
+}), async (uri, { id }, extra) => {
+  const { job, error } = findJob(id, resolveCaller(extra));
+  if (error) {
+    return {
+      contents: [{
+        uri: uri.href,
+        text: error
+      }]
+    };
+  }
+
+  return {
+    contents: [{
+      uri: uri.href,
+      text: JSON.stringify({
+        ...getJobSummary(job),
+        stdoutTail: job.handle.stdout.read(Math.max(0, job.handle.stdout.size() - 4096), 4096).data,
+        stderrTail: job.handle.stderr.read(Math.max(0, job.handle.stderr.size() - 4096), 4096).data
+      }, null, 2),
+      metadata: { "content-type": "application/json" }
+    }]
+  };
+});
+
+// ======================
+// HTTP Transport
+// ======================
+// REST routes call the tool handlers directly; /mcp serves the Streamable
+// HTTP transport and /sse + /messages the legacy SSE transport.
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const restRoutes = {
+  "POST /execute": "execute",
+  "GET /queryCommands": "queryCommands",
+  "POST /manageCommand": "manageCommand",
+  "GET /queryLogs": "queryLogs",
+  "GET /verifyLogs": "verifyLogs",
+  "POST /revokeConfirmation": "revokeConfirmation",
+  "POST /startJob": "startJob",
+  "GET /jobStatus": "jobStatus",
+  "GET /jobOutput": "jobOutput",
+  "POST /killJob": "killJob",
+  "GET /approvalStatus": "approvalStatus",
+  "POST /decideApproval": "decideApproval",
+  "GET /commandStats": "commandStats",
+  "POST /discoverCommands": "discoverCommands"
+};
+
+const streamableTransports = new Map();
+const sseTransports = new Map();
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("Request body too large"), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const data = Buffer.concat(chunks).toString('utf8');
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch (err) {
+        reject(Object.assign(new Error(`Invalid JSON body: ${err.message}`), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, payload) {
+  if (res.headersSent) return;
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(payload, null, 2));
+}
+
+function zodBaseType(type) {
+  let current = type;
+  while (current?._def?.innerType) current = current._def.innerType;
+  return current?._def?.typeName;
+}
+
+// Query string values are always strings; convert them to the types the
+// tool schema expects so GET routes accept ?detailed=true&limit=50.
+// Repeated keys (?action=a&action=b) become arrays.
+function queryToParams(searchParams, schema) {
+  const params = {};
+  for (const key of new Set(searchParams.keys())) {
+    const typeName = schema[key] ? zodBaseType(schema[key]) : undefined;
+    const values = searchParams.getAll(key).map(value => {
+      if (typeName === "ZodBoolean") return value === "true" ? true : value === "false" ? false : value;
+      if (typeName === "ZodNumber") return value.trim() === '' ? value : Number(value);
+      return value;
+    });
+    params[key] = values.length > 1 ? values : values[0];
+  }
+  return params;
+}
+
+async function handleRestRequest(req, res, toolName, url) {
+  const { schema, handler } = toolDefinitions.get(toolName);
+  const input = req.method === "GET"
+    ? queryToParams(url.searchParams, schema)
+    : await readJsonBody(req);
+
+  const parsed = z.object(schema).safeParse(input);
+  if (!parsed.success) {
+    return sendJson(res, 400, { error: "Invalid parameters", issues: parsed.error.issues });
+  }
+
+  const abortController = new AbortController();
+  res.on('close', () => abortController.abort());
+
+  const result = await handler(parsed.data, { signal: abortController.signal, authInfo: req.auth });
+  sendJson(res, 200, result);
+}
+
+// Prometheus scrape endpoint for callers with access to commandStats.
+// Scrapes are not logged as stats_queried, which would flood the audit log.
+async function handleMetricsRequest(req, res, url) {
+  if (!canCallTool(req.auth.extra.caller, "commandStats")) {
+    logAction('tool_forbidden', { tool: "commandStats", route: "GET /metrics" });
+    return sendJson(res, 403, { error: "Forbidden" });
+  }
+  let text;
+  try {
+    const since = parseTimeBound(url.searchParams.get("since") || DEFAULT_STATS_WINDOW, 'since');
+    text = formatPrometheusStats({ commands: await collectCommandStats({ since }) });
+  } catch (error) {
+    return sendJson(res, 400, { error: error.message });
+  }
+  res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+  res.end(text);
+}
+
+async function handleStreamableRequest(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+  const body = req.method === "POST" ? await readJsonBody(req) : undefined;
+  let transport = sessionId ? streamableTransports.get(sessionId) : undefined;
+
+  if (!transport) {
+    if (sessionId || req.method !== "POST" || !isInitializeRequest(body)) {
+      return sendJson(res, 400, {
+        jsonrpc: "2.0",
+        error: { code: -32000, message: "Bad Request: No valid session ID provided" },
+        id: null
+      });
+    }
+
+    transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        streamableTransports.set(id, transport);
+        logAction('http_session_started', { sessionId: id, transport: 'streamable-http' });
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        streamableTransports.delete(transport.sessionId);
+        logAction('http_session_closed', { sessionId: transport.sessionId, transport: 'streamable-http' });
+      }
+    };
+    await createMcpServer().connect(transport);
+  }
+
+  await transport.handleRequest(req, res, body);
+}
+
+async function handleSseConnect(req, res) {
+  const transport = new SSEServerTransport("/messages", res);
+  sseTransports.set(transport.sessionId, transport);
+  logAction('http_session_started', { sessionId: transport.sessionId, transport: 'sse' });
+  res.on('close', () => {
+    sseTransports.delete(transport.sessionId);
+    logAction('http_session_closed', { sessionId: transport.sessionId, transport: 'sse' });
+  });
+  await createMcpServer().connect(transport);
+}
+
+async function handleSseMessage(req, res, url) {
+  const transport = sseTransports.get(url.searchParams.get("sessionId"));
+  if (!transport) {
+    return sendJson(res, 404, { error: "Unknown SSE session" });
+  }
+  await transport.handlePostMessage(req, res, await readJsonBody(req));
+}
+
+function getRequestApiKey(req) {
+  const authorization = req.headers['authorization'];
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.headers['x-api-key'];
+}
+
+function startHttpServer() {
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = `${req.method} ${url.pathname}`;
+    const apiKey = getRequestApiKey(req);
+    const caller = authenticate(apiKey);
+
+    if (!caller) {
+      logAction('auth_failed', { route, reason: apiKey ? 'invalid_api_key' : 'missing_api_key' });
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return sendJson(res, 401, { error: "Unauthorized" });
+    }
+
+    // Passed through the MCP transports to the tool handlers as extra.authInfo
+    req.auth = { token: apiKey || '', clientId: caller.id, scopes: [caller.role], extra: { caller } };
+
+    await callerContext.run(caller, () => dispatchHttpRequest(req, res, url, route));
+  });
+
+  httpServer.listen(PORT, HOST, () => {
+    console.log(`Service ready on http://${HOST}:${PORT}`);
+    logAction('service_started', { transport: 'http', host: HOST, port: PORT });
+  });
+
+  return httpServer;
+}
+
+async function dispatchHttpRequest(req, res, url, route) {
+  try {
+    if (restRoutes[route]) {
+      await handleRestRequest(req, res, restRoutes[route], url);
+    } else if (route === "GET /metrics") {
+      await handleMetricsRequest(req, res, url);
+    } else if (url.pathname === "/mcp" && ["GET", "POST", "DELETE"].includes(req.method)) {
+      await handleStreamableRequest(req, res);
+    } else if (route === "GET /sse") {
+      await handleSseConnect(req, res);
+    } else if (route === "POST /messages") {
+      await handleSseMessage(req, res, url);
+    } else {
+      sendJson(res, 404, { error: `Not found: ${route}` });
+    }
+  } catch (err) {
+    logAction('http_request_failed', { route, error: err.message });
+    sendJson(res, err.statusCode || 500, { error: err.message });
+  }
+}
+
+// ======================
+// Server Start
+// ======================
+if (TRANSPORT === "http") {
+  activeHttpServer = startHttpServer();
+} else {
+  logStatus("Service ready on stdio");
+  logAction('service_started');
+  stdioTransport = new StdioServerTransport();
+  await createMcpServer().connect(stdioTransport);
+}
\ No newline at end of file